@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+import FSP from 'node:fs/promises';
+import { Codec, ParseError} from '../lib/index.js';
+
+// keyframe-format [--check] <script>..., formats the scripts in place, or lists those not formatted and fails if checking
+const check = process.argv[ 2] === '--check';
+const files = process.argv.slice( check? 3: 2);
+if( !files.length) {
+	console.error( 'usage: keyframe-format [--check] <script>...');
+	process.exit( 2);
+}
+const codec = new Codec();
+let unformatted = false;
+for( const file of files)
+	try {
+		const script = await FSP.readFile( file, 'utf-8');
+		const formatted = codec.format( script, file);
+		if( formatted === script)
+			continue;
+		if( check) {
+			console.error( `not formatted: ${ file}`);
+			unformatted = true;
+		} else
+			await FSP.writeFile( file, formatted);
+	} catch( error) {
+		if( !( error instanceof ParseError))
+			throw error;
+		error.print();
+		process.exit( 1);
+	}
+if( unformatted)
+	process.exit( 1);
@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+import FSP from 'node:fs/promises';
+import PATH from 'node:path';
+import { Codec, ParseError, renderHtml} from '../lib/index.js';
+
+// keyframe-html <script> [<output>], writes a player of the script to <script name>.html by default
+const [ file, output = PATH.basename( file || '', PATH.extname( file || '')) + '.html'] = process.argv.slice( 2);
+if( file === undefined) {
+	console.error( 'usage: keyframe-html <script> [<output>]');
+	process.exit( 2);
+}
+try {
+	const presentation = await new Codec().parseFile( file);
+	await FSP.writeFile( output, renderHtml( presentation, PATH.basename( file)));
+} catch( error) {
+	if( !( error instanceof ParseError))
+		throw error;
+	error.print();
+	process.exit( 1);
+}
@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+import { runLanguageServer} from '../lib/language-server.js';
+
+process.exitCode = await runLanguageServer( process.stdin, process.stdout);
+process.stdin.pause();
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+import FSP from 'node:fs/promises';
+import PATH from 'node:path';
+import { Codec, ParseError, SceneEvaluator, renderSvg} from '../lib/index.js';
+
+// keyframe-svg <script> [<directory>], writes the scene after each step to <script name>-<step number>.svg
+const [ file, directory = '.'] = process.argv.slice( 2);
+if( file === undefined) {
+	console.error( 'usage: keyframe-svg <script> [<directory>]');
+	process.exit( 2);
+}
+try {
+	const evaluator = new SceneEvaluator( await new Codec().parseFile( file));
+	const name = PATH.basename( file, PATH.extname( file));
+	await FSP.mkdir( directory, { recursive: true});
+	for( let stepIndex = 0; stepIndex < evaluator.stepCount; stepIndex++)
+		await FSP.writeFile( PATH.join( directory, `${ name}-${ stepIndex + 1}.svg`), renderSvg( evaluator.evaluate( stepIndex)));
+} catch( error) {
+	if( !( error instanceof ParseError))
+		throw error;
+	error.print();
+	process.exit( 1);
+}
@@ -1,17 +1,24 @@
 import FSP from 'node:fs/promises';
+import PATH from 'node:path';
 import {
+	transaction,
 	ID, TYPE,
 	Color,
-	BOOLEAN_TYPE, FLOAT_TYPE, POSITIVE_FLOAT_TYPE, DURATION_TYPE, STRING_TYPE, COLOR_TYPE, EnumType,
+	BOOLEAN_TYPE, FLOAT_TYPE, POSITIVE_FLOAT_TYPE, FRACTION_TYPE, DURATION_TYPE, STRING_TYPE, COLOR_TYPE,
+	LENGTH_TYPE, POSITIVE_LENGTH_TYPE, ANGLE_TYPE, POSITIVE_ANGLE_TYPE,
+	EnumType, TupleType, ListType, DictionaryType,
 	PropertySpace,
 	Preset,
+	Import, Presentation,
 	BUILT_IN_VIEW_PROPERTIES, BUILT_IN_VIEW_TYPES, ViewPreset, View,
 	BUILT_IN_ENTITY_PROPERTIES, BUILT_IN_ENTITY_TYPES, EntityPreset, Entity,
 	BUILT_IN_TRANSITION_PROPERTIES, BUILT_IN_TRANSITION_TYPES, TransitionPreset, Transition,
 } from './model.js';
+import { JsonReader, JsonWriter} from './json.js';
 
 const ERROR_CONTEXT = 3;
 const REPLACE_TAB = '⇥  ';
+const IMPORTED_FROM = Symbol(); // adds a frame to the import chain of a ParseError, kept private to this module
 
 export class ParseError extends Error {
 
@@ -20,17 +27,31 @@ export class ParseError extends Error {
 	#lines = [];
 	#lineIndex; // 0-based
 	#columnIndex; // 0-based
+	#endColumnIndex; // 0-based, exclusive
 	#problem;
+	#code;
+	#importChain = []; // [ { source, lineIndex, columnIndex}], the importing file first
 
-	constructor( source, lines, lineIndex, columnIndex, problem) {
+	constructor( source, lines, lineIndex, columnIndex, problem, code = 'syntax', endColumnIndex = columnIndex) {
 		super( `${ source? source + ' ': ''}line ${ lineIndex + 1} column ${ columnIndex + 1}: ${ problem}`);
+		delete this.message; // composed by the getter, along with the import chain
 		this.#source = source;
 		this.#lineOffset = Math.max( 0, lineIndex - ERROR_CONTEXT);
 		for( let i = this.#lineOffset; i < lines.length && i <= lineIndex + ERROR_CONTEXT; i++)
 			this.#lines.push( lines[ i]);
 		this.#lineIndex = lineIndex;
 		this.#columnIndex = columnIndex;
+		this.#endColumnIndex = endColumnIndex;
 		this.#problem = problem;
+		this.#code = code;
+	}
+
+	get message() {
+		return [
+			`${ this.#source? this.#source + ' ': ''}line ${ this.#lineIndex + 1} column ${ this.#columnIndex + 1}: ${ this.#problem}`,
+			...[ ...this.#importChain].reverse().map( ( { source, lineIndex, columnIndex}) => // the nearest importing file first
+					`    imported from ${ source} line ${ lineIndex + 1} column ${ columnIndex + 1}`),
+		].join( '\n');
 	}
 
 	get source() {
@@ -45,10 +66,32 @@ export class ParseError extends Error {
 		return this.#columnIndex;
 	}
 
+	get endColumnIndex() {
+		return this.#endColumnIndex;
+	}
+
 	get problem() {
 		return this.#problem;
 	}
 
+	// a short kebab-case name of the kind of the problem, such as "syntax" or "undefined-id"
+	get code() {
+		return this.#code;
+	}
+
+	get diagnostic() {
+		return newDiagnostic( this.#source, 'error', this.#code, this.#lineIndex, this.#columnIndex, this.#endColumnIndex,
+				this.#problem);
+	}
+
+	get importChain() {
+		return this.#importChain.map( frame => ( { ...frame}));
+	}
+
+	[ IMPORTED_FROM]( source, lineIndex, columnIndex) {
+		this.#importChain.unshift( { source, lineIndex, columnIndex});
+	}
+
 	print() {
 		if( this.#source)
 			console.error( this.#source + ':');
@@ -66,9 +109,26 @@ export class ParseError extends Error {
 				console.error( ' '.repeat( lineNumCol.length) + "└─" + this.#problem);
 			}
 		}
+		for( let i = this.#importChain.length - 1; i >= 0; i--) {
+			const { source, lineIndex, columnIndex} = this.#importChain[ i];
+			console.error( `imported from ${ source} line ${ lineIndex + 1} column ${ columnIndex + 1}`);
+		}
 	}
 }
 
+/**
+ * Diagnostics are frozen objects of { source, severity, code, lineIndex, columnIndex, endColumnIndex, problem}, severity
+ * being either "error" or "warning", and the indices 0-based.
+ */
+function newDiagnostic( source, severity, code, lineIndex, columnIndex, endColumnIndex, problem) {
+	return Object.freeze( { source, severity, code, lineIndex, columnIndex, endColumnIndex, problem});
+}
+
+// Map< string, unit>, units being { name, scale} as in SourceMap
+function newUnits( scales) {
+	return new Map( Object.entries( scales).map( ( [ name, scale]) => [ name, Object.freeze( { name, scale})]));
+}
+
 const LINE = /^(\t*)([^\t].*)?$/;
 const TOKEN = new RegExp( '(?:'
 		+ '(?<sp> +)' + '|'
@@ -79,16 +139,39 @@ const TOKEN = new RegExp( '(?:'
 		+ '(?<at>@)' + '|'
 		+ '(?<lbracket>\\[)' + '|'
 		+ '(?<rbracket>\\])' + '|'
+		+ '(?<lparen>\\()' + '|'
+		+ '(?<rparen>\\))' + '|'
+		+ '(?<lbrace>\\{)' + '|'
+		+ '(?<rbrace>\\})' + '|'
+		+ '(?<comma>,)' + '|'
+		+ '(?<percent>%)' + '|'
 		+ '(?<dot>\\.)' + '|'
-		+ '(?<num>(?:-?0|[1-9][0-9]*)(?:\\.[0-9]+)?)' + '|'
-		+ '(?<color>#[0-9A-Fa-f]{3}(?:[0-9A-Fa-f]{3})?(?![0-9A-Za-z]))' + '|'
+		+ '(?<num>-?(?:0|[1-9][0-9]*)(?:\\.[0-9]+)?)' + '|'
+		+ '(?<op>[-+*/^])' + '|'
+		+ '(?<color>#(?:[0-9A-Fa-f]{8}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{3,4})(?![0-9A-Za-z])|(?:rgba?|hsla?|oklch)\\([^()]*\\))' + '|'
 		+ '(?<str>\'(?:[^\\\\\']+|\\\\.)*\')' + '|'
 		+ '(?<id>[a-z][0-9a-z]*(?:-[0-9a-z]+)*(?![0-9A-Za-z\-_]))' + '|'
 		+ '(?<type>[A-Z][0-9A-Za-z]*)'
 		+ ')', 'y');
+const DIRECTIVE = /^(?:import[ \t]|const[ \t]|[^\s#]\S*? *:=|(?:[0-9a-z-]+\.)*[A-Z][0-9A-Za-z]*[ \t]*(?:#.*)?$)/; // imports, constants, aliases, and default presets
+const LENGTH_UNITS = newUnits( { pt: 1, px: 0.75, in: 72, cm: 72 / 2.54, mm: 72 / 25.4}); // to points
+const ANGLE_UNITS = newUnits( { deg: 1, rad: 180 / Math.PI, turn: 360}); // to degrees
+const CONSTANT_UNITS = new Map( [ ...LENGTH_UNITS, ...ANGLE_UNITS]);
+const FUNCTIONS = new Map( [ // arities undefined for any number of arguments but none
+	[ 'sqrt', { arity: 1, apply: Math.sqrt}],
+	[ 'min', { arity: undefined, apply: Math.min}],
+	[ 'max', { arity: undefined, apply: Math.max}],
+]);
+const NAMESPACE = /^[0-9a-z](?:[0-9a-z-]*[0-9a-z])?(?:\.[0-9a-z](?:[0-9a-z-]*[0-9a-z])?)*$/;
+const DICTIONARY_KEY = /^[a-z][0-9a-z]*(?:-[0-9a-z]+)*$/; // keys written as id tokens
+const MEASURE_TYPES = new Set( [ LENGTH_TYPE, POSITIVE_LENGTH_TYPE, ANGLE_TYPE, POSITIVE_ANGLE_TYPE]);
+const NUMBER_TYPES = new Set( [ FLOAT_TYPE, POSITIVE_FLOAT_TYPE, FRACTION_TYPE, ...MEASURE_TYPES]); // written in expressions
+const POSITIVE_NUMBER_TYPES = new Set( [ POSITIVE_FLOAT_TYPE, POSITIVE_LENGTH_TYPE, POSITIVE_ANGLE_TYPE]);
 const RESERVED_ID = new Set( [
 	'true',
 	'false',
+	'import',
+	'const',
 ]);
 
 export class CodecConfig {
@@ -100,6 +183,7 @@ export class CodecConfig {
 	#subjectTypesToName = new Map();
 	#transitionTypesByName = new Map();
 	#transitionTypesToName = new Map();
+	#plugins = new Map(); // Map< string, { name, namespace}>
 
 	constructor() {
 		this.extendSubjectType( ViewPreset.name, ViewPreset);
@@ -166,6 +250,14 @@ export class CodecConfig {
 		return this.#subjectTypesByName.get( name);
 	}
 
+	getSubjectTypeName( type) {
+		return this.#subjectTypesToName.get( type);
+	}
+
+	subjectTypeNames() {
+		return [ ...this.#subjectTypesByName.keys()];
+	}
+
 	extendTransitionType( name, type) {
 		if( this.#transitionTypesByName.has( name))
 			throw new Error( `transition name collision: ${ name}`);
@@ -182,35 +274,323 @@ export class CodecConfig {
 	getTransitionType( name) {
 		return this.#transitionTypesByName.get( name);
 	}
+
+	getTransitionTypeName( type) {
+		return this.#transitionTypesToName.get( type);
+	}
+
+	transitionTypeNames() {
+		return [ ...this.#transitionTypesByName.keys()];
+	}
+
+	/**
+	 * Installs a plugin, an object with the following fields:
+	 *
+	 * - name: the name of the plugin, used in error messages
+	 * - namespace: a reverse domain name, such as "com.example.keyframe", prefixed to the names of the plugin's types
+	 * - subjectTypes: optional, an object of simple type names to subject (view, entity) classes
+	 * - transitionTypes: optional, an object of simple transition names to transition classes
+	 * - viewProperties, entityProperties, transitionProperties: optional property spaces, names of all properties in them
+	 *   must start with the namespace followed by a "."
+	 *
+	 * Types and transitions are registered under fully qualified names, "com.example.keyframe.Computer" for example, to be
+	 * aliased to simple names in scripts. Either everything of the plugin is installed, or nothing is.
+	 */
+	use( plugin) {
+		const name = plugin.name;
+		if( typeof name !== 'string' || !name)
+			throw new Error( `plugin name expected: ${ name}`);
+		if( this.#plugins.has( name))
+			throw new Error( `plugin ${ name}: already installed`);
+		const namespace = plugin.namespace;
+		if( typeof namespace !== 'string' || !NAMESPACE.test( namespace))
+			throw new Error( `plugin ${ name}: illegal namespace: ${ namespace}`);
+		for( const installed of this.#plugins.values())
+			if( installed.namespace === namespace)
+				throw new Error( `plugin ${ name}: namespace already used by plugin ${ installed.name}: ${ namespace}`);
+
+		const backup = {
+			viewPropertySpaces: [ ...this.#viewPropertySpaces],
+			entityPropertySpaces: [ ...this.#entityPropertySpaces],
+			transitionPropertySpaces: [ ...this.#transitionPropertySpaces],
+			subjectTypesByName: new Map( this.#subjectTypesByName),
+			subjectTypesToName: new Map( this.#subjectTypesToName),
+			transitionTypesByName: new Map( this.#transitionTypesByName),
+			transitionTypesToName: new Map( this.#transitionTypesToName),
+		};
+		try {
+			for( const [ typeName, type] of Object.entries( plugin.subjectTypes || {}))
+				this.extendSubjectType( `${ namespace}.${ typeName}`, type);
+			for( const [ transitionName, type] of Object.entries( plugin.transitionTypes || {}))
+				this.extendTransitionType( `${ namespace}.${ transitionName}`, type);
+			for( const [ propertySpace, extend] of [
+				[ plugin.viewProperties, this.extendViewProperties],
+				[ plugin.entityProperties, this.extendEntityProperties],
+				[ plugin.transitionProperties, this.extendTransitionProperties],
+			]) {
+				if( propertySpace === undefined)
+					continue;
+				for( const propertyName of propertySpace.names())
+					if( !propertyName.startsWith( namespace + '.'))
+						throw new Error( `property not in namespace ${ namespace}: ${ propertyName}`);
+				extend.call( this, propertySpace);
+			}
+		} catch( error) {
+			this.#viewPropertySpaces = backup.viewPropertySpaces;
+			this.#entityPropertySpaces = backup.entityPropertySpaces;
+			this.#transitionPropertySpaces = backup.transitionPropertySpaces;
+			this.#subjectTypesByName = backup.subjectTypesByName;
+			this.#subjectTypesToName = backup.subjectTypesToName;
+			this.#transitionTypesByName = backup.transitionTypesByName;
+			this.#transitionTypesToName = backup.transitionTypesToName;
+			throw new Error( `plugin ${ name}: ${ error.message}`, { cause: error});
+		}
+		this.#plugins.set( name, { name, namespace});
+		return this;
+	}
 }
 
 export class Codec extends CodecConfig {
 
+	/**
+	 * Parses a file, loading the files it imports, relative to its directory, first.
+	 */
 	async parseFile( file) {
-		return this.parse( await FSP.readFile( file, 'utf-8'), file);
+		return this.#parseFile( PATH.resolve( file), []);
 	}
 
-	parse( script, source = undefined) {
-		const stack = [ new RootParser( this)];
+	async #parseFile( file, importingFiles) {
+		const script = await FSP.readFile( file, 'utf-8');
+		return this.#parse( script, file, await this.#loadImports( script, file, importingFiles, false), undefined);
+	}
+
+	// Map< string, Presentation | ParseError>, by paths as written in the script, errors only if lenient
+	async #loadImports( script, file, importingFiles, lenient) {
 		const lines = script.split( '\n', -1);
-		for( let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
-			const lineMatch = LINE.exec( lines[ lineIndex]); // always succeeds
-			if( lineMatch[ 2] === undefined || lineMatch[ 2].startsWith( '#'))
+		const imports = new Map();
+		for( const { path, lineIndex, columnIndex, endColumnIndex} of scanImports( script, file, lenient)) {
+			if( imports.has( path))
 				continue;
-			const indent = lineMatch[ 1].length;
-			if( lineMatch[ 2].startsWith( ' '))
-				throw new ParseError( source, lines, lineIndex, indent, 'space-indentation is illegal');
-			if( indent > stack.length - 1)
-				throw new ParseError( source, lines, lineIndex, indent, 'wrong indentation');
-			while( stack.length - 1 > indent)
-				stack.pop().end();
-			const parser = stack[ stack.length - 1].appendLine( new Tokens( source, lines, lineIndex, indent));
-			if( parser)
-				stack.push( parser);
+			const importedFile = PATH.resolve( PATH.dirname( file), path);
+			const chain = [ ...importingFiles, file];
+			try {
+				if( chain.includes( importedFile))
+					throw new ParseError( file, lines, lineIndex, columnIndex,
+							`import cycle: ${ [ ...chain.slice( chain.indexOf( importedFile)), importedFile].join( ' → ')}`,
+							'import-cycle', endColumnIndex);
+				imports.set( path, await this.#parseFile( importedFile, chain));
+			} catch( error) {
+				if( !( error instanceof ParseError) || lenient && error.source !== file) // the latter in the imported file
+					error = new ParseError( file, lines, lineIndex, columnIndex, `cannot import ${ path}: ${ error.message}`,
+							'import-failed', endColumnIndex);
+				else if( error.source !== file)
+					error[ IMPORTED_FROM]( file, lineIndex, columnIndex);
+				if( !lenient)
+					throw error;
+				imports.set( path, error);
+			}
 		}
-		while( stack.length > 1)
-			stack.pop().end();
-		return stack[ 0].end();
+		return imports;
+	}
+
+	/**
+	 * Parses a script. Scripts with imports can be parsed only with parseFile(), which knows where to find the imported
+	 * files.
+	 */
+	parse( script, source = undefined) {
+		return this.#parse( script, source, undefined, undefined);
+	}
+
+	/**
+	 * Parses a script without stopping at the first error, for editors. A line with an error is skipped along with the
+	 * block under it, and parsing goes on from the next line. Returns { script, source, presentation, diagnostics}, the
+	 * presentation holding whatever could be parsed, to be given to reparse() after edits.
+	 */
+	diagnose( script, source = undefined) {
+		const diagnostics = [];
+		return { script, source, presentation: this.#parse( script, source, undefined, diagnostics), diagnostics};
+	}
+
+	/**
+	 * Same as diagnose(), loading the imports of the file. The script is read from the file unless given, as when it is
+	 * being edited. Errors in the imported files are reported at the import lines.
+	 */
+	async diagnoseFile( file, script = undefined) {
+		file = PATH.resolve( file);
+		if( script === undefined)
+			script = await FSP.readFile( file, 'utf-8');
+		const diagnostics = [];
+		const imports = await this.#loadImports( script, file, [], true);
+		return { script, source: file, presentation: this.#parse( script, file, imports, diagnostics), diagnostics};
+	}
+
+	#parse( script, source, imports, diagnostics) {
+		const report = diagnostics === undefined? () => {}: diagnostic => diagnostics.push( diagnostic);
+		const root = new RootParser( this, imports, report);
+		const lines = script.split( '\n', -1);
+		parseLines( root, source, lines, 0, lines.length, diagnostics);
+		return root.end();
+	}
+
+	/**
+	 * Parses a script again after an edit, given the result of diagnose(), diagnoseFile(), or reparse() for the script
+	 * before the edit. The edit is { start, end, text}, replacing the text from the start to the end, positions being
+	 * { line, character} as in the Language Server Protocol.
+	 *
+	 * Only the top-level blocks the edit touches are parsed again, along with the later blocks with errors or referring to
+	 * ids defined differently after the edit; the other blocks are carried over as they are. Presets, subjects, and
+	 * transitions parsed again are updated in place if they are defined again with the same ids and types, anonymous ones
+	 * in the same blocks, so that editors can hold on to them. Editing an import, an alias, or a default preset has every
+	 * block parsed again, the imported files not loaded again, though.
+	 *
+	 * Returns the same as diagnose() does with the presentation parsed again, a new one, and the changes from the previous
+	 * presentation in { added, removed, updated} lists of presets, subjects, and transitions, updated ones being those
+	 * parsed again.
+	 */
+	reparse( previous, edit) {
+		const oldLines = previous.script.split( '\n', -1);
+		const offsetOf = ( { line, character}, name) => {
+			if( !( Number.isInteger( line) && line >= 0 && line < oldLines.length
+					&& Number.isInteger( character) && character >= 0 && character <= oldLines[ line].length))
+				throw new Error( `edit ${ name} out of range: ${ line}:${ character}`);
+			return oldLines.slice( 0, line).reduce( ( offset, text) => offset + text.length + 1, character);
+		};
+		const startOffset = offsetOf( edit.start, 'start');
+		const endOffset = offsetOf( edit.end, 'end');
+		if( endOffset < startOffset)
+			throw new Error( 'edit end before start');
+		const script = previous.script.substring( 0, startOffset) + edit.text + previous.script.substring( endOffset);
+		const lines = script.split( '\n', -1);
+		const source = previous.source;
+		const oldPresentation = previous.presentation;
+		const oldBlocks = splitBlocks( oldLines);
+		const blocks = splitBlocks( lines);
+
+		// unchanged blocks at the start and at the end, the others in between changed
+		let prefixLength = 0;
+		while( prefixLength < oldBlocks.length && prefixLength < blocks.length
+				&& oldBlocks[ prefixLength].text === blocks[ prefixLength].text)
+			prefixLength++;
+		let suffixLength = 0;
+		while( suffixLength < oldBlocks.length - prefixLength && suffixLength < blocks.length - prefixLength
+				&& oldBlocks[ oldBlocks.length - 1 - suffixLength].text === blocks[ blocks.length - 1 - suffixLength].text)
+			suffixLength++;
+		const oldBlockOf = i => i < prefixLength? oldBlocks[ i]
+				: i >= blocks.length - suffixLength? oldBlocks[ i - blocks.length + oldBlocks.length]
+				: i - prefixLength < oldBlocks.length - suffixLength - prefixLength? oldBlocks[ i] // aligned in the changed ones
+				: undefined;
+		const changedOldBlocks = oldBlocks.slice( prefixLength, oldBlocks.length - suffixLength);
+		const changedBlocks = blocks.slice( prefixLength, blocks.length - suffixLength);
+		const full = [ ...changedOldBlocks.map( block => oldLines[ block.start]), ...changedBlocks.map( block => lines[ block.start])]
+				.some( header => header !== undefined && DIRECTIVE.test( header));
+
+		const definitions = block => oldPresentation.sourceMap.at( block.start)
+				.filter( entry => entry.property === undefined && entry.parameter === undefined)
+				.map( entry => entry.object);
+		const recycler = new Recycler();
+		for( const block of full? oldBlocks: changedOldBlocks)
+			recycler.offer( block, definitions( block));
+		const ids = new Set(); // ids possibly bound to other objects after the edit
+		for( const block of full? oldBlocks: changedOldBlocks)
+			for( const object of definitions( block))
+				if( object.name !== undefined)
+					ids.add( object.name);
+
+		const diagnostics = [];
+		const defaultPresets = [
+			oldPresentation.defaultViewPreset,
+			oldPresentation.defaultEntityPreset,
+			oldPresentation.defaultTransitionPreset,
+		];
+		const root = new RootParser( this, new Map( oldPresentation.imports().map( imported => [ imported.path, imported.presentation])),
+				diagnostic => diagnostics.push( diagnostic), { defaultPresets, recycler});
+		const presentation = transaction( () => {
+			if( full)
+				for( const preset of defaultPresets)
+					for( const name of preset.propertySpace.names())
+						preset.set( name, undefined);
+			blocks.forEach( ( block, i) => {
+				const oldBlock = oldBlockOf( i);
+				const carried = !full && oldBlock !== undefined && oldBlock.text === block.text && !DIRECTIVE.test( lines[ block.start])
+						&& !block.text.includes( '%') // percentages of the view size, which may have changed
+						&& !previous.diagnostics.some( diagnostic => diagnostic.severity === 'error'
+								&& diagnostic.lineIndex >= oldBlock.start && diagnostic.lineIndex < oldBlock.end)
+						&& ![ ...ids].some( id => oldPresentation.get( id) !== root.presentation.get( id) && mentions( block.text, id));
+				if( carried) {
+					const shift = block.start - oldBlock.start;
+					for( let lineIndex = oldBlock.start; lineIndex < oldBlock.end; lineIndex++)
+						root.replay( oldPresentation.sourceMap.at( lineIndex), shift);
+					const blockSpan = definitions( oldBlock).map( object => oldPresentation.sourceMap.blockSpanOf( object))
+							.find( span => span.lineIndex === oldBlock.start); // not a default preset defined before
+					if( blockSpan !== undefined)
+						root.presentation.sourceMap.endBlock( blockSpan.lineIndex + shift, blockSpan.endLineIndex + shift);
+					for( const diagnostic of previous.diagnostics) // warnings only, blocks with errors are parsed again
+						if( diagnostic.lineIndex >= oldBlock.start && diagnostic.lineIndex < oldBlock.end)
+							diagnostics.push( newDiagnostic( source, diagnostic.severity, diagnostic.code, diagnostic.lineIndex + shift,
+									diagnostic.columnIndex, diagnostic.endColumnIndex, diagnostic.problem));
+					return;
+				}
+				if( oldBlock !== undefined && !full && !changedOldBlocks.includes( oldBlock)) {
+					recycler.offer( oldBlock, definitions( oldBlock));
+					for( const object of definitions( oldBlock))
+						if( object.name !== undefined)
+							ids.add( object.name);
+				}
+				recycler.enter( oldBlock);
+				parseLines( root, source, lines, block.start, block.end, diagnostics);
+				for( const object of recycler.fresh)
+					if( object.name !== undefined)
+						ids.add( object.name);
+			});
+			return root.end();
+		});
+
+		const oldObjects = new Set( [ ...oldPresentation.presets(), ...oldPresentation.subjects(), ...oldPresentation.transitions()]);
+		const objects = new Set( [ ...presentation.presets(), ...presentation.subjects(), ...presentation.transitions()]);
+		return {
+			script,
+			source,
+			presentation,
+			diagnostics,
+			changes: {
+				added: [ ...objects].filter( object => !oldObjects.has( object)),
+				removed: [ ...oldObjects].filter( object => !objects.has( object)),
+				updated: [ ...objects].filter( object => recycler.recycled.has( object)),
+			},
+		};
+	}
+
+	stringify( presentation) {
+		return new ScriptWriter( this).write( presentation);
+	}
+
+	/**
+	 * Lays a script out the canonical way, keeping what it says and its comments: tokens spaced as stringify() does,
+	 * numbers and hex colors normalized, the operators of the property and parameter lines in a block aligned, trailing
+	 * spaces and runs of blank lines removed. The script is only tokenized, not parsed, so that it is formatted as it is
+	 * even with errors other than unknown tokens and space-indentation, which throw ParseErrors.
+	 */
+	format( script, source = undefined) {
+		return formatScript( script, source);
+	}
+
+	// a value as written in scripts, in the unit if given, see SourceMap
+	stringifyValue( propertyType, value, unit = undefined) {
+		return formatValue( propertyType, value, unit);
+	}
+
+	/**
+	 * Turns a presentation into a plain object for JSON.stringify(), described by the JSON schema in
+	 * schema/presentation-1.json. Types are named as registered, and imported presentations are embedded. Not named
+	 * toJSON(), which JSON.stringify() would call on the codec itself.
+	 */
+	writeJSON( presentation) {
+		return new JsonWriter( this, presentation).write();
+	}
+
+	// the reverse of writeJSON(), from what JSON.parse() returns
+	readJSON( json) {
+		return new JsonReader( this).read( json);
 	}
 }
 
@@ -231,7 +611,7 @@ class Tokens {
 		for( let position = TOKEN.lastIndex = indent; position < lines[ lineIndex].length; position = TOKEN.lastIndex) {
 			const tokenMatch = TOKEN.exec( lines[ lineIndex]);
 			if( !tokenMatch)
-				throw new ParseError( source, lines, lineIndex, position, 'unknown token');
+				throw new ParseError( source, lines, lineIndex, position, 'unknown token', 'syntax', position + 1);
 			if( tokenMatch.groups.sp !== undefined)
 				continue;
 			if( tokenMatch.groups.comment !== undefined) {
@@ -251,23 +631,33 @@ class Tokens {
 		}
 	}
 
+	get length() {
+		return this.#tokens.length;
+	}
+
+	// the comment at the end of the line, "# " included, if any
+	get comment() {
+		const line = this.#lines[ this.#lineIndex];
+		return this.#effectiveLineLength < line.length? line.substring( this.#effectiveLineLength): undefined;
+	}
+
 	token( index) {
 		return this.#tokens[ index];
 	}
 
 	raw( startInc, endExc = undefined) {
 		return this.#lines[ this.#lineIndex].substring(
-				this.#tokens[ startInc].columnIndex,
+				this.#tokens[ startInc].position,
 				endExc === undefined || endExc >= this.#tokens.length
 						? this.#effectiveLineLength
-						: this.#tokens[ endExc].columnIndex)
+						: this.#tokens[ endExc].position)
 				.trimEnd();
 	}
 
 	expectName( index, names, nameInErrorMessage) {
 		const token = this.expectNameOrEnd( index, names, nameInErrorMessage);
 		if( token === undefined)
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, this.#effectiveLineLength, `${ nameInErrorMessage} expected: EOL`);
+			throw this.#newEndError( `${ nameInErrorMessage} expected: EOL`);
 		return token;
 	}
 
@@ -276,16 +666,16 @@ class Tokens {
 			return undefined;
 		const token = this.#tokens[ index];
 		if( typeof names === 'string'? token.name !== names: !names.includes( token.name))
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, token.position, `${ nameInErrorMessage} expected: ${ token.value}(${ token.name})`);
+			throw this.newError( index, `${ nameInErrorMessage} expected: ${ token.value}(${ token.name})`);
 		return token;
 	}
 
 	expectValue( index, value) {
 		if( index >= this.#tokens.length)
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, this.#effectiveLineLength, `"${ value}" expected: EOL`);
+			throw this.#newEndError( `"${ value}" expected: EOL`);
 		const token = this.#tokens[ index];
 		if( token.value !== value)
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, token.position, `"${ value}" expected: ${ token.value}`);
+			throw this.newError( index, `"${ value}" expected: ${ token.value}`);
 		return token;
 	}
 
@@ -294,31 +684,70 @@ class Tokens {
 			return undefined;
 		const token = this.#tokens[ index];
 		if( token.value !== value)
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, token.position, `"${ value}" or EOL expected: ${ token.value}`);
+			throw this.newError( index, `"${ value}" or EOL expected: ${ token.value}`);
 		return token;
 	}
 
-	expectBracketedListWithName( startingIndex, names, nameInErrorMessage) {
+	// ids in brackets, each may be prefixed with namespaces, as in "[title house.heading]"
+	expectBracketedReferences( startingIndex, nameInErrorMessage) {
 		this.expectValue( startingIndex, '[');
-		const found = [];
-		for( let index = startingIndex + 1; index < this.#tokens.length; index++) {
+		const references = []; // [ { index, name}]
+		for( let index = startingIndex + 1; index < this.#tokens.length;) {
 			if( this.#tokens[ index].value === ']')
-				return found;
-			found.push( this.expectName( index, names, nameInErrorMessage));
+				return { references, end: index + 1};
+			const reference = { index, name: this.expectName( index++, 'id', nameInErrorMessage).value};
+			while( index < this.#tokens.length && this.#tokens[ index].name === 'dot') {
+				reference.name += '.' + this.expectName( index + 1, 'id', nameInErrorMessage).value;
+				index += 2;
+			}
+			references.push( reference);
 		}
-		throw new ParseError( this.#source, this.#lines, this.#lineIndex, this.#effectiveLineLength, '"]" expected: EOL');
+		throw this.#newEndError( '"]" expected: EOL');
 	}
 
 	expectEnd( index) {
 		if( index < this.#tokens.length)
-			throw new ParseError( this.#source, this.#lines, this.#lineIndex, this.#tokens[ index].position, `EOL expected: ${ this.#tokens[ index].value}`);
+			throw this.newError( index, `EOL expected: ${ this.#tokens[ index].value}`);
 	}
 
-	newError( index, problem) {
-		return new ParseError( this.#source, this.#lines, this.#lineIndex, this.#tokens[ index].position, problem);
+	// the span of the tokens from the start to the end, or to the end of the line if not given
+	span( startInc = 0, endExc = undefined) {
+		const columnIndex = this.#tokens[ startInc].position;
+		return Object.freeze( {
+			source: this.#source,
+			lineIndex: this.#lineIndex,
+			columnIndex,
+			endColumnIndex: columnIndex + this.raw( startInc, endExc).length,
+		});
+	}
+
+	newError( index, problem, code = 'syntax') {
+		const token = this.#tokens[ index];
+		return new ParseError( this.#source, this.#lines, this.#lineIndex, token.position, problem, code,
+				token.position + token.value.length);
+	}
+
+	newWarning( index, problem, code) {
+		const token = this.#tokens[ index];
+		return newDiagnostic( this.#source, 'warning', code, this.#lineIndex, token.position, token.position + token.value.length,
+				problem);
+	}
+
+	#newEndError( problem) {
+		return new ParseError( this.#source, this.#lines, this.#lineIndex, this.#effectiveLineLength, problem);
 	}
 }
 
+// takes the place of the parser of a line with an error, ignoring the block under it
+const SKIPPED_BLOCK = Object.freeze( {
+	appendLine() {
+		return SKIPPED_BLOCK;
+	},
+	end() {
+		// do nothing
+	},
+});
+
 class PresetDomain {
 
 	propertySpace;
@@ -326,10 +755,10 @@ class PresetDomain {
 	defaultPreset;
 	defaultPresetAllowed = true;
 
-	constructor( propertySpace, presetClass) {
-		this.propertySpace = propertySpace;
+	constructor( propertySpace, presetClass, defaultPreset = new presetClass( propertySpace, [])) {
+		this.propertySpace = defaultPreset.propertySpace;
 		this.presetClass = presetClass;
-		this.defaultPreset = new presetClass( propertySpace, []);
+		this.defaultPreset = defaultPreset;
 	}
 }
 
@@ -339,22 +768,72 @@ class RootParser {
 	#viewPresets;
 	#entityPresets;
 	#transitionPresets;
-	#aliases = new Map();
-	#references = new Map();
-	#transitions = [];
-
-	constructor( config) {
+	#presentation;
+	#imports; // Map< string, Presentation | ParseError>, undefined if imports are not supported
+	#importsAllowed = true; // only at the top of the file
+	#report; // reports warnings
+	#recycler; // undefined unless reparsing
+	#constants = new Map(); // Map< string, number>
+
+	// reparsing takes the default presets of the previous presentation, and a Recycler
+	constructor( config, imports, report, { defaultPresets = [], recycler = undefined} = {}) {
 		this.#config = config;
-		this.#viewPresets = new PresetDomain( config.createViewPropertySpace(), ViewPreset);
-		this.#entityPresets = new PresetDomain( config.createEntityPropertySpace(), EntityPreset);
-		this.#transitionPresets = new PresetDomain( config.createTransitionPropertySpace(), TransitionPreset);
+		this.#imports = imports;
+		this.#report = report;
+		this.#recycler = recycler;
+		this.#viewPresets = new PresetDomain( config.createViewPropertySpace(), ViewPreset, defaultPresets[ 0]);
+		this.#entityPresets = new PresetDomain( config.createEntityPropertySpace(), EntityPreset, defaultPresets[ 1]);
+		this.#transitionPresets = new PresetDomain( config.createTransitionPropertySpace(), TransitionPreset, defaultPresets[ 2]);
+		this.#presentation = new Presentation(
+				this.#viewPresets.defaultPreset, this.#entityPresets.defaultPreset, this.#transitionPresets.defaultPreset);
+	}
+
+	get presentation() {
+		return this.#presentation;
+	}
+
+	/**
+	 * Adds what a line of the previous script defined and set, from the entries of the previous source map on the line,
+	 * moved by a number of lines.
+	 */
+	replay( entries, shift) {
+		for( const { span, object, property, parameter, unit, expression} of entries) {
+			const movedSpan = Object.freeze( { ...span, lineIndex: span.lineIndex + shift});
+			if( parameter !== undefined)
+				this.#presentation.sourceMap.assignParameter( movedSpan, object, parameter, unit, expression);
+			else if( property !== undefined)
+				this.#presentation.sourceMap.assign( movedSpan, object, property, unit, expression);
+			else {
+				this.#importsAllowed = false;
+				if( object instanceof Transition)
+					this.#presentation.addTransition( object);
+				else if( !( object instanceof Preset))
+					this.#presentation.addSubject( object);
+				else if( object.name !== undefined) {
+					this.#presentation.addPreset( object);
+					for( const domain of [ this.#viewPresets, this.#entityPresets, this.#transitionPresets])
+						if( object instanceof domain.presetClass)
+							domain.defaultPresetAllowed = false;
+				}
+				this.#presentation.sourceMap.define( movedSpan, object);
+			}
+		}
+	}
+
+	#recycle( object) {
+		return this.#recycler === undefined? object: this.#recycler.recycle( object);
 	}
 
 	appendLine( tokens) {
 		const token0 = tokens.expectName( 0, [ 'id', 'type'], 'id or type');
+		if( token0.name === 'id' && token0.value === 'import')
+			return this.#parseImport( tokens);
+		this.#importsAllowed = false;
+		if( token0.name === 'id' && token0.value === 'const')
+			return this.#parseConstant( tokens);
 		if( token0.name === 'id') { // <id> ...
 			if( RESERVED_ID.has( token0.value))
-				throw tokens.newError( 0, `invalid id: ${ token0.value}`);
+				throw tokens.newError( 0, `invalid id: ${ token0.value}`, 'reserved-id');
 			const token1 = tokens.expectName( 1, [ 'coloneq', 'colon', 'id'], '":=", "[", or transition type');
 			if( token1.name === 'coloneq')
 				return this.#parseAlias( tokens, ID, 'id'); // <id> :=
@@ -362,92 +841,159 @@ class RootParser {
 				const { target, end} = this.#newTarget( token0.value, tokens, 2);
 				if( target instanceof Preset) {
 					tokens.expectEnd( end);
-					return new ParameterParser( target, undefined, true);
+					this.#addTarget( target, tokens);
+					return new ParameterParser( this.#presentation, target, undefined, true, this.#report, this.#constants);
 				}
 				const transition = this.#newTransition( target, false, tokens, end);
+				this.#addTarget( target, tokens);
 				if( transition)
-					this.#transitions.push( transition);
-				return new ParameterParser( target, transition, true);
+					this.#addTransition( transition, tokens);
+				return new ParameterParser( this.#presentation, target, transition, true, this.#report, this.#constants);
 			}
-			const target = this.#references.get( token0.value);
+			const target = this.#presentation.get( token0.value);
 			if( !target)
-				throw tokens.newError( 0, `id undefined: ${ token0.value}`);
+				throw tokens.newError( 0, `id undefined: ${ token0.value}`, 'undefined-id');
+			if( target instanceof Preset)
+				throw tokens.newError( 0, `subject expected, found: ${ target.constructor.name}`, 'wrong-kind');
 			const transition = this.#newTransition( target, true, tokens, 1);
-			this.#transitions.push( transition);
-			return new ParameterParser( target, transition, false);
+			this.#addTransition( transition, tokens);
+			return new ParameterParser( this.#presentation, target, transition, false, this.#report, this.#constants);
 		}
 
+		const token1 = tokens.expectNameOrEnd( 1, [ 'coloneq', 'lbracket', 'id'], '":=", "[", transition type, or end-of-line');
+		if( token1 && token1.name === 'coloneq')
+			return this.#parseAlias( tokens, TYPE, 'type'); // <type> :=
 		const { target, end} = this.#newTarget( undefined, tokens, 0);
 		if( target instanceof Preset) {
 			tokens.expectEnd( end);
-			return new ParameterParser( target, undefined, true);
+			this.#addTarget( target, tokens);
+			return new ParameterParser( this.#presentation, target, undefined, true, this.#report, this.#constants);
 		}
 		const transition = this.#newTransition( target, true, tokens, end);
-		this.#transitions.push( transition);
-		return new ParameterParser( target, transition, true);
+		this.#addTarget( target, tokens);
+		this.#addTransition( transition, tokens);
+		return new ParameterParser( this.#presentation, target, transition, true, this.#report, this.#constants);
+	}
+
+	// const <id> = <expression>, lengths and angles in the expression converted to points and degrees
+	#parseConstant( tokens) {
+		const name = tokens.expectName( 1, 'id', 'constant name').value;
+		if( this.#constants.has( name))
+			throw tokens.newError( 1, `constant already defined: ${ name}`, 'collision');
+		tokens.expectName( 2, 'eq', '"="');
+		const { value, end} = new ExpressionParser( tokens, this.#constants, index => {
+			const value = Number.parseFloat( tokens.expectName( index, 'num', 'number').value);
+			const unitToken = tokens.token( index + 1);
+			if( unitToken === undefined || unitToken.name !== 'id' || !CONSTANT_UNITS.has( unitToken.value))
+				return { value, end: index + 1};
+			return { value: value * CONSTANT_UNITS.get( unitToken.value).scale, end: index + 2};
+		}).parse( 3);
+		tokens.expectEnd( end);
+		this.#constants.set( name, value);
+		this.#presentation.sourceMap.defineConstant( name, Object.freeze( { source: formatTokens( tokens, 3), value, units: []}));
+	}
+
+	#parseImport( tokens) {
+		if( !this.#importsAllowed)
+			throw tokens.newError( 0, 'imports must be at the top of the file', 'misplaced-import');
+		const { path, namespace} = parseImportLine( tokens);
+		if( this.#imports === undefined)
+			throw tokens.newError( 0, 'imports are supported only when parsing files', 'import-unsupported');
+		const presentation = this.#imports.get( path);
+		if( presentation === undefined) // only when reparsing, the imports are loaded beforehand otherwise
+			throw tokens.newError( 1, `import not loaded, the file must be parsed again: ${ path}`, 'import-unsupported');
+		if( presentation instanceof ParseError)
+			throw presentation; // loading failed, when diagnosing
+		const imported = new Import( path, namespace, presentation);
+		try {
+			this.#presentation.addImport( imported);
+		} catch( error) {
+			throw tokens.newError( namespace === undefined? 1: 3, `cannot import ${ path}: ${ error.message}`, 'import-failed');
+		}
+		this.#presentation.sourceMap.define( tokens.span(), imported);
 	}
 
 	#parseAlias( tokens, regex, nameInErrorMessage) {
 		const alias = tokens.token( 0).value;
-		if( this.#aliases.has( alias) || this.#config.getSubjectType( alias) || this.#config.getTransitionType( alias))
-			throw tokens.newError( 0, `${ nameInErrorMessage} already exists: ${ alias}`);
+		if( this.#presentation.getAlias( alias) || this.#isDefined( alias))
+			throw tokens.newError( 0, `${ nameInErrorMessage} already exists: ${ alias}`, 'collision');
+		if( tokens.token( 2) === undefined) // being typed
+			throw tokens.newError( 1, `${ nameInErrorMessage} expected after ":="`);
 		const raw = tokens.raw( 2);
 		if( !regex.test( raw))
-			throw tokens.newError( 2, `not a valid ${ nameInErrorMessage}: ${ raw}`);
-		this.#aliases.set( alias, raw);
+			throw tokens.newError( 2, `not a valid ${ nameInErrorMessage}: ${ raw}`, 'invalid-alias');
+		this.#presentation.setAlias( alias, raw); // of what may not be installed, reported where used
+	}
+
+	// whether a name is a type, a transition type, or a property name
+	#isDefined( name) {
+		return this.#config.getSubjectType( name) !== undefined
+				|| this.#config.getTransitionType( name) !== undefined
+				|| this.#viewPresets.propertySpace.getType( name) !== undefined
+				|| this.#entityPresets.propertySpace.getType( name) !== undefined
+				|| this.#transitionPresets.propertySpace.getType( name) !== undefined;
 	}
 
 	#newTarget( id, tokens, start) {
 		const token0 = tokens.expectName( start, 'type', 'type name');
 		const token1 = tokens.expectNameOrEnd( start + 1, [ 'lbracket', 'id'], '"[", transition type, or end-of-line');
-		const baseTokens = token1 && token1.name === 'lbracket'
-				? tokens.expectBracketedListWithName( start + 1, 'id', 'preset name')
-				: [];
-		const end = token1 && token1.name === 'lbracket'
-				? start + 1 + 1 + baseTokens.length + 1 // type [ ... ]
-				: start + 1; // type
-
-		const type = this.#config.getSubjectType( this.#aliases.get( token0.value) || token0.value);
+		const { references, end} = token1 && token1.name === 'lbracket'
+				? tokens.expectBracketedReferences( start + 1, 'preset name') // type [ ... ]
+				: { references: [], end: start + 1}; // type
+
+		const type = this.#config.getSubjectType( this.#presentation.getAlias( token0.value) || token0.value);
 		if( !type)
-			throw tokens.newError( start, `unknown type: ${ token0.value}`);
+			throw tokens.newError( start, `unknown type: ${ aliased( this.#presentation, token0.value)}`, 'unknown-type');
 		if( type === ViewPreset)
-			return { target: this.#newPreset( this.#viewPresets, id, baseTokens, tokens, start), end};
+			return { target: this.#newPreset( this.#viewPresets, id, references, tokens), end};
 		else if( type === EntityPreset)
-			return { target: this.#newPreset( this.#entityPresets, id, baseTokens, tokens, start), end};
+			return { target: this.#newPreset( this.#entityPresets, id, references, tokens), end};
 		else if( type === TransitionPreset)
-			return { target: this.#newPreset( this.#transitionPresets, id, baseTokens, tokens, start), end};
+			return { target: this.#newPreset( this.#transitionPresets, id, references, tokens), end};
 		else if( type.prototype instanceof View)
-			return { target: this.#newSubject( this.#viewPresets, id, type, baseTokens, tokens, start), end};
+			return { target: this.#newSubject( this.#viewPresets, id, type, references, tokens), end};
 		else if( type.prototype instanceof Entity)
-			return { target: this.#newSubject( this.#entityPresets, id, type, baseTokens, tokens, start), end};
+			return { target: this.#newSubject( this.#entityPresets, id, type, references, tokens), end};
 		else
 			throw new Error( `bug: unrecognized type: ${ type}`); // bug because already checked on registration
 	}
 
-	#newPreset( domain, id, baseTokens, tokens, start) {
+	#newPreset( domain, id, references, tokens) {
 		if( id === undefined) {
-			if( baseTokens.length)
-				throw tokens.newError( start + 2, `default preset cannot inherit from another: ${ baseTokens[ 0].value}`);
+			if( references.length)
+				throw tokens.newError( references[ 0].index, `default preset cannot inherit from another: ${ references[ 0].name}`,
+						'default-preset');
 			if( !domain.defaultPresetAllowed)
-				throw tokens.newError( 0, 'default preset can be defined only once, and must be before any other preset');
+				throw tokens.newError( 0, 'default preset can be defined only once, and must be before any other preset', 'default-preset');
 			return domain.defaultPreset;
 		}
-		if( this.#references.has( id))
-			throw tokens.newError( 0, `id collision: ${ id}`);
-		const instance = new domain.presetClass( domain.propertySpace,
-				this.#loadPresets( domain, baseTokens, tokens, start + 2));
-		this.#references.set( id, instance);
-		domain.defaultPresetAllowed = false;
-		return instance;
+		if( this.#presentation.get( id))
+			throw tokens.newError( 0, `id collision: ${ id}`, 'collision');
+		return this.#recycle( new domain.presetClass( domain.propertySpace, this.#loadPresets( domain, references, tokens), id));
 	}
 
-	#newSubject( domain, id, type, baseTokens, tokens, start) {
-		if( id !== undefined && this.#references.has( id))
-			throw tokens.newError( 0, `id collision: ${ id}`);
-		const instance = new type( this.#loadPresets( domain, baseTokens, tokens, start + 2), id);
-		if( id !== undefined)
-			this.#references.set( id, instance);
-		return instance;
+	#newSubject( domain, id, type, references, tokens) {
+		if( id !== undefined && this.#presentation.get( id))
+			throw tokens.newError( 0, `id collision: ${ id}`, 'collision');
+		return this.#recycle( new type( this.#loadPresets( domain, references, tokens), id));
+	}
+
+	// adds a new target once the whole line is parsed, so that lines with errors leave nothing behind
+	#addTarget( target, tokens) {
+		if( !( target instanceof Preset))
+			this.#presentation.addSubject( target);
+		else if( target.name !== undefined) {
+			this.#presentation.addPreset( target);
+			for( const domain of [ this.#viewPresets, this.#entityPresets, this.#transitionPresets])
+				if( target instanceof domain.presetClass)
+					domain.defaultPresetAllowed = false;
+		}
+		this.#presentation.sourceMap.define( tokens.span(), target);
+	}
+
+	#addTransition( transition, tokens) {
+		this.#presentation.addTransition( transition);
+		this.#presentation.sourceMap.define( tokens.span(), transition);
 	}
 
 	#newTransition( target, required, tokens, start) {
@@ -457,122 +1003,375 @@ class RootParser {
 		if( token0 === undefined)
 			return undefined;
 		const token1 = tokens.expectNameOrEnd( start + 1, [ 'lbracket', 'id'], '"[", trigger condition, or end-of-line');
-		const baseTokens = token1 && token1.name === 'lbracket'
-				? tokens.expectBracketedListWithName( start + 1, 'id', 'preset name')
-				: [];
-		const end = token1 && token1.name === 'lbracket'
-				? start + 1 + 1 + baseTokens.length + 1 // transition [ ... ]
-				: start + 1; // transition
-
-		const type = this.#config.getTransitionType( this.#aliases.get( token0.value) || token0.value);
+		const { references, end} = token1 && token1.name === 'lbracket'
+				? tokens.expectBracketedReferences( start + 1, 'preset name') // transition [ ... ]
+				: { references: [], end: start + 1}; // transition
+
+		const type = this.#config.getTransitionType( this.#presentation.getAlias( token0.value) || token0.value);
 		if( !type)
-			throw tokens.newError( start, `unknown transition type: ${ token0.value}`);
-		const transition = new type( this.#loadPresets( this.#transitionPresets, baseTokens, tokens, start + 2), target);
+			throw tokens.newError( start, `unknown transition type: ${ aliased( this.#presentation, token0.value)}`, 'unknown-type');
+		const transition = new type( this.#loadPresets( this.#transitionPresets, references, tokens), target);
 		const tokenLast = tokens.expectValueOrEnd( end, 'auto');
 		if( tokenLast)
 			tokens.expectEnd( end + 1);
 		transition.auto = tokenLast !== undefined;
-		return transition;
+		return this.#recycle( transition);
 	}
 
-	#loadPresets( domain, baseTokens, tokens, start) {
-		if( !baseTokens.length)
+	#loadPresets( domain, references, tokens) {
+		if( !references.length)
 			return [ domain.defaultPreset];
 		const basePresets = [];
-		for( let i = 0; i < baseTokens.length; i++) {
-			const reference = this.#references.get( baseTokens[ i].value);
+		for( const { index, name} of references) {
+			const reference = this.#presentation.get( name);
 			if( reference === undefined)
-				throw tokens.newError( start + i, `id undefined: ${ baseTokens[ i].value}`);
+				throw tokens.newError( index, `id undefined: ${ name}`, 'undefined-id');
 			if( !( reference instanceof domain.presetClass))
-				throw tokens.newError( start + i, `${ domain.presetClass.name} expected, found: ${ reference.constructor.name}`);
+				throw tokens.newError( index, `${ domain.presetClass.name} expected, found: ${ reference.constructor.name}`, 'wrong-kind');
 			basePresets.push( reference);
 		}
 		return basePresets;
 	}
 
 	end() {
-		return this.#transitions;
+		return this.#presentation;
+	}
+}
+
+/**
+ * Keeps the presets, subjects, and transitions of the blocks Codec.reparse() parses again, to update them in place
+ * instead of creating new ones: named ones by their ids, and anonymous ones in the same blocks.
+ */
+class Recycler {
+
+	recycled = new Set(); // Set< Preset | Subject | Transition>
+	fresh = []; // created anew in the block being parsed
+	#named = new Map(); // Map< string, Preset | Subject>
+	#anonymous = new Map(); // Map< block, [ Subject | Transition]>, by the blocks of the previous script
+	#block = undefined; // of the previous script, the block being parsed was in it
+
+	// the objects defined by a block of the previous script, default presets left out as they are always kept
+	offer( block, objects) {
+		const anonymous = [];
+		for( const object of objects)
+			if( object instanceof Transition || !( object instanceof Preset) && object.name === undefined)
+				anonymous.push( object);
+			else if( object.name !== undefined)
+				this.#named.set( object.name, object);
+		this.#anonymous.set( block, anonymous);
+	}
+
+	enter( block) {
+		this.#block = block;
+		this.fresh = [];
+	}
+
+	// returns an object updated to be the same as the new one just created, the new one if none can be
+	recycle( object) {
+		const candidates = object.name !== undefined && !( object instanceof Transition)
+				? [ this.#named.get( object.name)]
+				: this.#anonymous.get( this.#block) || [];
+		const recycled = candidates.find( candidate => candidate !== undefined && candidate.constructor === object.constructor
+				&& !this.recycled.has( candidate));
+		if( recycled === undefined) {
+			this.fresh.push( object);
+			return object;
+		}
+		this.recycled.add( recycled);
+		for( const name of recycled.propertySpace.names())
+			recycled.set( name, undefined);
+		recycled.rebase( object.inherited);
+		if( recycled instanceof Transition) {
+			for( const name of recycled.parameterNames())
+				recycled.setParameter( name, undefined);
+			recycled.retarget( object.target);
+			recycled.auto = object.auto;
+		}
+		return recycled;
+	}
+}
+
+// parses lines of a script, from the top level to the top level, errors reported to the diagnostics if given
+function parseLines( root, source, lines, start, end, diagnostics) {
+	const stack = [ root];
+	let header, last; // the lines of the top-level line and the last one of its block
+	for( let lineIndex = start; lineIndex < end; lineIndex++) {
+		const lineMatch = LINE.exec( lines[ lineIndex]); // always succeeds
+		if( lineMatch[ 2] === undefined || lineMatch[ 2].startsWith( '#'))
+			continue;
+		const indent = lineMatch[ 1].length;
+		if( indent === 0) {
+			if( header !== undefined)
+				root.presentation.sourceMap.endBlock( header, last + 1);
+			header = lineIndex;
+		}
+		last = lineIndex;
+		while( stack.length - 1 > indent)
+			stack.pop().end();
+		if( indent > stack.length - 1 && stack[ stack.length - 1] === SKIPPED_BLOCK)
+			continue;
+		try {
+			if( lineMatch[ 2].startsWith( ' '))
+				throw new ParseError( source, lines, lineIndex, indent, 'space-indentation is illegal', 'indentation',
+						indent + /^ */.exec( lineMatch[ 2])[ 0].length);
+			if( indent > stack.length - 1)
+				throw new ParseError( source, lines, lineIndex, indent, 'wrong indentation', 'indentation', indent);
+			const parser = stack[ stack.length - 1].appendLine( new Tokens( source, lines, lineIndex, indent));
+			if( parser)
+				stack.push( parser);
+		} catch( error) {
+			if( diagnostics === undefined || !( error instanceof ParseError))
+				throw error;
+			diagnostics.push( error.diagnostic);
+			stack.push( SKIPPED_BLOCK);
+		}
+	}
+	while( stack.length > 1)
+		stack.pop().end();
+	if( header !== undefined)
+		root.presentation.sourceMap.endBlock( header, last + 1);
+}
+
+// [ { start, end, text}], blocks from a line at the top level to the next, the lines before the first in one of their own
+function splitBlocks( lines) {
+	const blocks = [];
+	let start = 0;
+	for( let lineIndex = 1; lineIndex <= lines.length; lineIndex++)
+		if( lineIndex === lines.length || /^[^\t#]/.test( lines[ lineIndex])) {
+			blocks.push( { start, end: lineIndex, text: lines.slice( start, lineIndex).join( '\n')});
+			start = lineIndex;
+		}
+	return blocks;
+}
+
+// whether an id is in a text, not as a part of another id
+function mentions( text, id) {
+	for( let index = text.indexOf( id); index >= 0; index = text.indexOf( id, index + 1))
+		if( !/[0-9A-Za-z.-]/.test( text[ index - 1] || '') && !/[0-9A-Za-z-]/.test( text[ index + id.length] || ''))
+			return true;
+	return false;
+}
+
+/**
+ * Parses and evaluates an arithmetic expression of numbers and constants with +, -, *, /, ^ (the power), parentheses,
+ * and the functions sqrt(), min(), and max(). Numbers are parsed by the function given, returning { value, end}, so
+ * that they may have units. Errors are reported at the tokens they are found at.
+ */
+class ExpressionParser {
+
+	#tokens;
+	#constants; // Map< string, number>
+	#parseNumber;
+
+	constructor( tokens, constants, parseNumber) {
+		this.#tokens = tokens;
+		this.#constants = constants;
+		this.#parseNumber = parseNumber;
+	}
+
+	// { value, end}
+	parse( start) {
+		return this.#sum( start);
+	}
+
+	#sum( start) {
+		let { value, end} = this.#product( start);
+		for( let token = this.#tokens.token( end); token !== undefined; token = this.#tokens.token( end)) {
+			let operand;
+			if( token.name === 'op' && ( token.value === '+' || token.value === '-'))
+				operand = this.#product( end + 1);
+			else if( token.name === 'num' && token.value.startsWith( '-')) // "1 -2" is lexed as two numbers
+				operand = this.#product( end);
+			else
+				break;
+			value = this.#check( token.value === '-'? value - operand.value: value + operand.value, end);
+			end = operand.end;
+		}
+		return { value, end};
+	}
+
+	#product( start) {
+		let { value, end} = this.#power( start);
+		for( let token = this.#tokens.token( end); this.#isOperator( token, '*', '/'); token = this.#tokens.token( end)) {
+			const operand = this.#power( end + 1);
+			if( token.value === '/' && operand.value === 0)
+				throw this.#tokens.newError( end, 'division by zero', 'invalid-value');
+			value = this.#check( token.value === '*'? value * operand.value: value / operand.value, end);
+			end = operand.end;
+		}
+		return { value, end};
+	}
+
+	// right-associative, and binding tighter than negation as in "-2^2", -4
+	#power( start) {
+		const token = this.#tokens.token( start);
+		if( this.#isOperator( token, '-')) {
+			const { value, end} = this.#power( start + 1);
+			return { value: -value, end};
+		}
+		const base = this.#primary( start);
+		if( !this.#isOperator( this.#tokens.token( base.end), '^'))
+			return base;
+		const exponent = this.#power( base.end + 1);
+		const value = token.name === 'num' && token.value.startsWith( '-')
+				? -( ( -base.value) ** exponent.value)
+				: base.value ** exponent.value;
+		return { value: this.#check( value, base.end), end: exponent.end};
+	}
+
+	#primary( start) {
+		const token = this.#tokens.expectName( start, [ 'num', 'id', 'lparen'], 'number');
+		if( token.name === 'num')
+			return this.#parseNumber( start);
+		if( token.name === 'lparen') {
+			const { value, end} = this.#sum( start + 1);
+			this.#tokens.expectName( end, 'rparen', '")"');
+			return { value, end: end + 1};
+		}
+		const next = this.#tokens.token( start + 1);
+		if( next !== undefined && next.name === 'lparen')
+			return this.#call( start);
+		const value = this.#constants.get( token.value);
+		if( value === undefined && this.#constants.has( token.value.split( '-')[ 0])) // "x-1" is lexed as an id
+			throw this.#tokens.newError( start, `constant undefined: ${ token.value}, spaces needed around "-" to subtract`,
+					'undefined-id');
+		if( value === undefined)
+			throw this.#tokens.newError( start, `constant undefined: ${ token.value}`, 'undefined-id');
+		return { value, end: start + 1};
+	}
+
+	#call( start) {
+		const name = this.#tokens.token( start).value;
+		const fn = FUNCTIONS.get( name);
+		if( fn === undefined)
+			throw this.#tokens.newError( start, `unknown function: ${ name}`, 'invalid-value');
+		const args = [];
+		let end = start + 2;
+		while( !this.#tokens.token( end) || this.#tokens.token( end).name !== 'rparen') {
+			if( args.length)
+				this.#tokens.expectName( end++, 'comma', '"," or ")"');
+			const arg = this.#sum( end);
+			args.push( arg.value);
+			end = arg.end;
+		}
+		if( fn.arity === undefined? !args.length: args.length !== fn.arity)
+			throw this.#tokens.newError( start, `${ name}() takes ${ fn.arity || 'one or more'} argument(s): ${ args.length}`,
+					'invalid-value');
+		return { value: this.#check( fn.apply( ...args), start), end: end + 1};
+	}
+
+	#isOperator( token, ...values) {
+		return token !== undefined && token.name === 'op' && values.includes( token.value);
+	}
+
+	// the result of an operation at a token
+	#check( value, index) {
+		if( Number.isFinite( value))
+			return value;
+		throw this.#tokens.newError( index, `not a finite number: ${ value}`, 'invalid-value');
 	}
 }
 
 class ParameterParser {
 
+	#presentation;
 	#target;
 	#transition;
 	#newTarget;
+	#report;
+	#assigned = new Set(); // operators followed by names, as in ":=width", to warn about overwriting in the same block
+	#constants;
 
-	constructor( target, transition, newTarget) {
+	constructor( presentation, target, transition, newTarget, report, constants) {
+		this.#presentation = presentation;
 		this.#target = target;
 		this.#transition = transition;
 		this.#newTarget = newTarget;
+		this.#report = report;
+		this.#constants = constants;
 	}
 
 	appendLine( tokens) {
 		const token0 = tokens.expectName( 0, 'id', 'property name');
 		const token1 = tokens.expectName( 1, [ 'coloneq', 'eq', 'at'], '":=", "=", or "@"');
+		const name = this.#presentation.getAlias( token0.value) || token0.value; // property names may be aliased
+		this.#assign( tokens, token0, token1, name);
+		if( this.#assigned.has( token1.value + name)) // only once both lines are good
+			this.#report( tokens.newWarning( 0, `${ token0.value} already set in this block, overwritten`, 'overwritten'));
+		this.#assigned.add( token1.value + name);
+	}
+
+	#assign( tokens, token0, token1, name) {
 		switch( token1.value) {
 			case ':=': {
 				if( !this.#newTarget)
-					throw tokens.newError( 1, `:= only allowed in target defining blocks`);
+					throw tokens.newError( 1, `:= only allowed in target defining blocks`, 'misplaced-property');
 				if( this.#target instanceof TransitionPreset)
-					throw tokens.newError( 1, `:= not allowed in transition preset blocks`);
-				const propertyType = this.#target.propertySpace.getType( token0.value);
+					throw tokens.newError( 1, `:= not allowed in transition preset blocks`, 'misplaced-property');
+				const propertyType = this.#target.propertySpace.getType( name);
 				if( !propertyType)
-					throw tokens.newError( 0, `unknown property: ${ token0.value}`);
-				this.#target.set( token0.value, this.#parseValue( propertyType, tokens, 2));
+					throw tokens.newError( 0, `unknown property: ${ aliased( this.#presentation, token0.value)}`, 'unknown-property');
+				const { value, unit, expression} = this.#parseValue( propertyType, tokens, 2, name);
+				this.#target.set( name, value);
+				this.#presentation.sourceMap.assign( tokens.span(), this.#target, name, unit, expression);
 				return;
 			}
 			case '=': {
 				if( this.#transition) {
 					const parameterType = this.#transition.getParameterType( token0.value);
 					if( !parameterType)
-						throw tokens.newError( 0, `unknown transition parameter: ${ token0.value}`);
-					this.#transition.setParameter( token0.value, this.#parseValue( propertyType, tokens, 2));
+						throw tokens.newError( 0, `unknown transition parameter: ${ token0.value}`, 'unknown-property');
+					const { value, unit, expression} = this.#parseValue( parameterType, tokens, 2, token0.value);
+					this.#transition.setParameter( token0.value, value);
+					this.#presentation.sourceMap.assignParameter( tokens.span(), this.#transition, token0.value, unit, expression);
 					return;
 				}
 				if( this.#target instanceof TransitionPreset)
-					throw tokens.newError( 1, `transition parameters not allowed in presets`);
-				throw tokens.newError( 1, `no transition associated`);
+					throw tokens.newError( 1, `transition parameters not allowed in presets`, 'misplaced-property');
+				throw tokens.newError( 1, `no transition associated`, 'misplaced-property');
 			}
 			case '@': {
 				if( this.#transition) {
-					const propertyType = this.#transition.propertySpace.getType( token0.value);
+					const propertyType = this.#transition.propertySpace.getType( name);
 					if( !propertyType)
-						throw tokens.newError( 0, `unknown transition property: ${ token0.value}`);
-					this.#transition.set( token0.value, this.#parseValue( propertyType, tokens, 2));
+						throw tokens.newError( 0, `unknown transition property: ${ aliased( this.#presentation, token0.value)}`,
+								'unknown-property');
+					const { value, unit, expression} = this.#parseValue( propertyType, tokens, 2, name);
+					this.#transition.set( name, value);
+					this.#presentation.sourceMap.assign( tokens.span(), this.#transition, name, unit, expression);
 					return;
 				}
 				if( this.#target instanceof TransitionPreset) {
-					const propertyType = this.#target.propertySpace.getType( token0.value);
+					const propertyType = this.#target.propertySpace.getType( name);
 					if( !propertyType)
-						throw tokens.newError( 0, `unknown transition property: ${ token0.value}`);
-					this.#target.set( token0.value, this.#parseValue( propertyType, tokens, 2));
+						throw tokens.newError( 0, `unknown transition property: ${ aliased( this.#presentation, token0.value)}`,
+								'unknown-property');
+					const { value, unit, expression} = this.#parseValue( propertyType, tokens, 2, name);
+					this.#target.set( name, value);
+					this.#presentation.sourceMap.assign( tokens.span(), this.#target, name, unit, expression);
 					return;
 				}
-				throw tokens.newError( 1, `no transition associated`);
+				throw tokens.newError( 1, `no transition associated`, 'misplaced-property');
 			}
 			default:
 				throw new Error( `bug`);
 		}
 	}
 
-	#parseValue( propertyType, tokens, start) {
+	// { value, unit, expression}, the unit given if a length or an angle is written in one, the expression if a number is
+	// written in one, see SourceMap
+	#parseValue( propertyType, tokens, start, name) {
+		const { value, end, unit, units} = this.#parseValueAt( propertyType, tokens, start, name);
+		tokens.expectEnd( end);
+		return { value, unit, expression: units && Object.freeze( { source: formatTokens( tokens, start), value, units})};
+	}
+
+	#parseValueAt( propertyType, tokens, start, name) {
 		if( propertyType === BOOLEAN_TYPE) {
 			const token = tokens.expectName( start, 'id', 'boolean value');
-			if( token.value !== 'true' || token.value !== 'false')
-				throw tokens.newError( start, `boolean value expected: ${ token.value}`);
-			return token.value === 'true';
-		}
-
-		if( propertyType === FLOAT_TYPE)
-			return Number.parseFloat( tokens.expectName( start, 'num', 'number').value);
-	
-		if( propertyType === POSITIVE_FLOAT_TYPE) {
-			const token = tokens.expectName( start, 'num', 'number');
-			const value = Number.parseFloat( token.value);
-			if( Number.isFinite( value) && value > 0)
-				return value;
-			throw tokens.newError( start, `positive number expected: ${ token.value}`);
+			if( token.value !== 'true' && token.value !== 'false')
+				throw tokens.newError( start, `boolean value expected: ${ token.value}`, 'invalid-value');
+			return { value: token.value === 'true', end: start + 1};
 		}
 
 		if( propertyType === DURATION_TYPE) {
@@ -582,49 +1381,564 @@ class ParameterParser {
 			switch( token1.value) {
 				case 'ms':
 					if( !( num >= 0))
-						throw tokens.newError( start, `duration must be positive`);
-					return num;
+						throw tokens.newError( start, `duration must be positive`, 'invalid-value');
+					return { value: num, end: start + 2};
 				case 's': 
 					if( !( num >= 0))
-						throw tokens.newError( start, `duration must be positive`);
-					return num * 1000;
+						throw tokens.newError( start, `duration must be positive`, 'invalid-value');
+					return { value: num * 1000, end: start + 2};
 				default:
-					throw tokens.newError( start + 1, `duration unit (s, ms) expected: ${ token1.value}`);
+					throw tokens.newError( start + 1, `duration unit (s, ms) expected: ${ token1.value}`, 'invalid-value');
 			}
 		}
 
-		if( propertyType === STRING_TYPE)
-			return this.#decodeString( tokens.expectName( start, 'str', 'text string'), tokens, start);
+		if( NUMBER_TYPES.has( propertyType)) {
+			const units = []; // the percentages in the expression
+			const literal = index => {
+				const parsed = this.#parseLiteral( propertyType, tokens, index, name);
+				if( parsed.unit !== undefined && parsed.unit.view !== undefined && !units.includes( parsed.unit))
+					units.push( parsed.unit);
+				return parsed;
+			};
+			const { value, end} = new ExpressionParser( tokens, this.#constants, literal).parse( start);
+			const single = tokens.token( start).name === 'num' && literal( start).end === end; // units kept only then
+			if( POSITIVE_NUMBER_TYPES.has( propertyType) && !( value > 0))
+				throw tokens.newError( start, `positive number expected: ${ single? tokens.token( start).value: tokens.raw( start, end)}`,
+						'invalid-value');
+			if( propertyType === FRACTION_TYPE && !( value >= 0 && value <= 1))
+				throw tokens.newError( start, `number within [0, 1] expected: ${ single? tokens.token( start).value: tokens.raw( start, end)}`,
+						'invalid-value');
+			return single? { value, end, unit: literal( start).unit}: { value, end, unit: undefined, units: Object.freeze( units)};
+		}
 
-		if( propertyType === COLOR_TYPE)
-			return Color.of( tokens.expectName( start, 'color', 'color code').value);
+		if( propertyType === STRING_TYPE)
+			return { value: decodeString( tokens.expectName( start, 'str', 'text string'), tokens, start), end: start + 1};
+
+		if( propertyType === COLOR_TYPE) {
+			const token = tokens.expectName( start, [ 'color', 'id'], 'color');
+			try {
+				return { value: Color.of( token.value), end: start + 1};
+			} catch( error) {
+				throw tokens.newError( start, error.message, 'invalid-value');
+			}
+		}
 
 		if( propertyType instanceof EnumType) {
-			const string = this.#decodeString( tokens.expectName( start, 'str', propertyType.name), tokens, start);
+			const string = decodeString( tokens.expectName( start, 'str', propertyType.name), tokens, start);
 			if( propertyType.values.includes( string))
-				return string;
-			throw tokens.newError( start, `one of the following values expected: ${ propertyType.values.join( ', ')}`);
+				return { value: string, end: start + 1};
+			throw tokens.newError( start, `one of the following values expected: ${ propertyType.values.join( ', ')}`, 'invalid-value');
 		}
 
-		throw tokens.newError( start, `property type ${ propertyType} not supported in this version`); // TODO
-	}
+		if( propertyType instanceof TupleType) {
+			tokens.expectName( start, 'lparen', propertyType.name);
+			const value = [];
+			const units = [];
+			let end = start + 1;
+			for( const elementType of propertyType.elementTypes) {
+				if( value.length)
+					tokens.expectName( end++, 'comma', '","');
+				const element = this.#parseValueAt( elementType, tokens, end, name);
+				value.push( element.value);
+				units.push( element.unit);
+				end = element.end;
+			}
+			tokens.expectName( end, 'rparen', '")"');
+			return { value, end: end + 1, unit: elementUnits( units)};
+		}
 
-	#decodeString( token, tokens, start) {
-		return token.value.substring( 1, token.value.length - 1).replace( /[^\\]|\\./, match => {
-			if( !match.startsWith( '\\'))
-				return match;
-			switch( match.substring( 1)) {
-				case '\\': return '\\';
-				case '\'': return '\'';
-				case 'n': return '\n';
-				case 'r': return '\r';
-				case 't': return '\t';
-				default: throw tokens.newError( start, `unsupported escape sequence: ${ match}`);
+		if( propertyType instanceof ListType) {
+			tokens.expectName( start, 'lbracket', propertyType.name);
+			const value = [];
+			const units = [];
+			let end = start + 1;
+			while( !tokens.token( end) || tokens.token( end).name !== 'rbracket') {
+				if( value.length)
+					tokens.expectName( end++, 'comma', '"," or "]"');
+				const element = this.#parseValueAt( propertyType.elementType, tokens, end, name);
+				value.push( element.value);
+				units.push( element.unit);
+				end = element.end;
 			}
-		});
+			return { value, end: end + 1, unit: elementUnits( units)};
+		}
+
+		if( propertyType instanceof DictionaryType) {
+			tokens.expectName( start, 'lbrace', propertyType.name);
+			const value = [];
+			const units = [];
+			let end = start + 1;
+			while( !tokens.token( end) || tokens.token( end).name !== 'rbrace') {
+				if( value.length)
+					tokens.expectName( end++, 'comma', '"," or "}"');
+				const keyToken = tokens.expectName( end, [ 'id', 'str'], 'dictionary key');
+				const key = keyToken.name === 'id'? keyToken.value: decodeString( keyToken, tokens, end);
+				if( value.some( ( [ name]) => name === key))
+					throw tokens.newError( end, `duplicate dictionary key: ${ key}`, 'invalid-value');
+				tokens.expectName( end + 1, 'colon', '":"');
+				const element = this.#parseValueAt( propertyType.valueType, tokens, end + 2, name);
+				value.push( [ key, element.value]);
+				units.push( element.unit);
+				end = element.end;
+			}
+			return { value, end: end + 1, unit: elementUnits( units)};
+		}
+
+		throw new Error( `bug: unrecognized property type: ${ propertyType.name}`); // bug because types are closed
+	}
+
+	// { value, end, unit}, the unit given if a length or an angle is written in one
+	#parseLiteral( propertyType, tokens, index, name) {
+		const token = tokens.expectName( index, 'num', 'number');
+		const unitToken = tokens.token( index + 1);
+		const unit = MEASURE_TYPES.has( propertyType) && unitToken !== undefined && [ 'id', 'percent'].includes( unitToken.name)
+				? this.#unitAt( propertyType, tokens, index + 1, name)
+				: undefined;
+		return unit === undefined
+				? { value: Number.parseFloat( token.value), end: index + 1, unit}
+				: { value: Number.parseFloat( token.value) * unit.scale, end: index + 2, unit};
+	}
+
+	// percentages are of the width of the view last defined for x and width, of its height for other lengths
+	#unitAt( propertyType, tokens, index, name) {
+		const token = tokens.token( index);
+		const angle = propertyType === ANGLE_TYPE || propertyType === POSITIVE_ANGLE_TYPE;
+		if( token.name === 'percent') {
+			if( angle)
+				throw tokens.newError( index, 'angles cannot be percentages', 'invalid-value');
+			const dimension = name === 'x' || name === 'width'? 'width': 'height';
+			const view = this.#presentation.subjects().filter( subject => subject instanceof View).pop();
+			const size = view === undefined? undefined: view.get( dimension);
+			if( typeof size !== 'number')
+				throw tokens.newError( index, `percentage of the view ${ dimension}, which is not set`, 'invalid-value');
+			return Object.freeze( { name: '%', scale: size / 100, view, dimension});
+		}
+		const units = angle? ANGLE_UNITS: LENGTH_UNITS;
+		const unit = units.get( token.value);
+		if( unit === undefined)
+			throw tokens.newError( index,
+					`${ angle? 'angle': 'length'} unit (${ [ ...units.keys(), ...angle? []: [ '%']].join( ', ')}) expected: ${ token.value}`,
+					'invalid-value');
+		return unit;
 	}
 
 	end() {
 		// do nothing
 	}
 }
+
+// a name as written, with what it is an alias of if it is one
+function aliased( presentation, name) {
+	const aliasedName = presentation.getAlias( name);
+	return aliasedName === undefined? name: `${ name} (${ aliasedName})`;
+}
+
+// import '<path>' [as <namespace>]
+function parseImportLine( tokens) {
+	const path = decodeString( tokens.expectName( 1, 'str', 'path string'), tokens, 1);
+	if( !tokens.expectValueOrEnd( 2, 'as'))
+		return { path, namespace: undefined};
+	const namespace = tokens.expectName( 3, 'id', 'namespace').value;
+	if( RESERVED_ID.has( namespace))
+		throw tokens.newError( 3, `invalid namespace: ${ namespace}`, 'reserved-id');
+	tokens.expectEnd( 4);
+	return { path, namespace};
+}
+
+// imports at the top of a script, before it is parsed; lines with errors are skipped if lenient
+function scanImports( script, source, lenient) {
+	const lines = script.split( '\n', -1);
+	const imports = [];
+	for( let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+		const lineMatch = LINE.exec( lines[ lineIndex]); // always succeeds
+		if( lineMatch[ 2] === undefined || lineMatch[ 2].startsWith( '#'))
+			continue;
+		if( lineMatch[ 1].length || !lineMatch[ 2].startsWith( 'import'))
+			break;
+		try {
+			const tokens = new Tokens( source, lines, lineIndex, 0);
+			if( tokens.token( 0).name !== 'id' || tokens.token( 0).value !== 'import')
+				break;
+			const { path, namespace} = parseImportLine( tokens);
+			const { position, value} = tokens.token( 1);
+			imports.push( { path, namespace, lineIndex, columnIndex: position, endColumnIndex: position + value.length});
+		} catch( error) {
+			if( !lenient || !( error instanceof ParseError))
+				throw error;
+		}
+	}
+	return imports;
+}
+
+function decodeString( token, tokens, start) {
+	return token.value.substring( 1, token.value.length - 1).replace( /[^\\]|\\./g, match => {
+		if( !match.startsWith( '\\'))
+			return match;
+		switch( match.substring( 1)) {
+			case '\\': return '\\';
+			case '\'': return '\'';
+			case 'n': return '\n';
+			case 'r': return '\r';
+			case 't': return '\t';
+			default: throw tokens.newError( start, `unsupported escape sequence: ${ match}`, 'invalid-value');
+		}
+	});
+}
+
+/**
+ * Writes the model back to the script format. The output is canonical: presets come before the subjects using them,
+ * properties are written in the order of their property spaces, and values are written in a single normalized form, so
+ * that parsing the output and writing it again yields the same text.
+ */
+class ScriptWriter {
+
+	#config;
+	#propertySpaces;
+	#aliases = new Map(); // Map< string, string>, alias to qualified name
+	#importedAliases = new Map(); // Map< string, string>, alias to qualified name
+	#ids = new Map(); // Map< string, SparseObject>
+	#references = new Map(); // Map< Preset, string>, imported presets to their ids
+	#defaultPresets; // [ ViewPreset, EntityPreset, TransitionPreset]
+	#namedPresets = []; // base presets always before the presets inheriting from them
+	#visitedPresets = new Set(); // Set< Preset>
+	#sourceMap; // for the units and the expressions values were written in, and the constants
+
+	constructor( config) {
+		this.#config = config;
+		this.#propertySpaces = [
+			config.createViewPropertySpace(),
+			config.createEntityPropertySpace(),
+			config.createTransitionPropertySpace(),
+		];
+	}
+
+	write( presentation) {
+		this.#sourceMap = presentation.sourceMap;
+		for( const imported of presentation.imports()) {
+			for( const [ alias, name] of imported.aliases())
+				this.#importedAliases.set( alias, name);
+			for( const [ id, preset] of imported.presets()) {
+				this.#claimId( id, preset);
+				this.#references.set( preset, id);
+				this.#visitedPresets.add( preset);
+			}
+		}
+		for( const [ alias, name] of presentation.aliases())
+			this.#aliases.set( alias, name);
+		this.#defaultPresets = [
+			presentation.defaultViewPreset,
+			presentation.defaultEntityPreset,
+			presentation.defaultTransitionPreset,
+		];
+		this.#visitPresets( presentation.presets());
+		for( const subject of presentation.subjects())
+			this.#visitPresets( subject.inherited);
+		for( const transition of presentation.transitions())
+			this.#visitPresets( transition.inherited);
+
+		const blocks = [];
+		for( const preset of this.#defaultPresets) {
+			const lines = this.#propertyLines( preset, preset instanceof TransitionPreset? '@': ':=');
+			if( lines.length)
+				blocks.push( [ this.#typeName( preset.constructor), ...lines]);
+		}
+		for( const preset of this.#namedPresets)
+			blocks.push( [
+				`${ preset.name}:${ this.#typeName( preset.constructor)}${ this.#bases( preset)}`,
+				...this.#propertyLines( preset, preset instanceof TransitionPreset? '@': ':=')
+			]);
+
+		// subjects without transitions are written in between, so that the order of the subjects is kept
+		const pendingSubjects = presentation.subjects();
+		const targets = new Set( presentation.transitions().map( transition => transition.target));
+		const definedSubjects = new Set();
+		for( const transition of presentation.transitions()) {
+			const subject = transition.target;
+			if( definedSubjects.has( subject)) {
+				if( subject.name === undefined)
+					throw new Error( 'an anonymous subject cannot have more than one transition');
+				blocks.push( [
+					`${ subject.name} ${ this.#transitionHeader( transition)}`,
+					...this.#propertyLines( transition, '@'),
+					...this.#parameterLines( transition),
+				]);
+				continue;
+			}
+			while( pendingSubjects.length && pendingSubjects[ 0] !== subject) {
+				const pendingSubject = pendingSubjects.shift();
+				if( !targets.has( pendingSubject))
+					blocks.push( this.#subjectBlock( pendingSubject, undefined));
+			}
+			pendingSubjects.shift();
+			definedSubjects.add( subject);
+			blocks.push( this.#subjectBlock( subject, transition));
+		}
+		for( const pendingSubject of pendingSubjects)
+			if( !targets.has( pendingSubject))
+				blocks.push( this.#subjectBlock( pendingSubject, undefined));
+
+		if( this.#sourceMap.constants().length)
+			blocks.unshift( this.#sourceMap.constants().map( ( [ name, { source}]) => `const ${ name} = ${ source}`));
+		if( this.#aliases.size)
+			blocks.unshift( [ ...this.#aliases].map( ( [ alias, name]) => `${ alias} := ${ name}`));
+		if( presentation.imports().length)
+			blocks.unshift( presentation.imports().map( imported =>
+					`import ${ encodeString( imported.path)}${ imported.namespace === undefined? '': ' as ' + imported.namespace}`));
+		return blocks.map( block => block.join( '\n') + '\n').join( '\n');
+	}
+
+	#visitPresets( presets) {
+		for( const preset of presets) {
+			if( this.#visitedPresets.has( preset))
+				continue;
+			this.#visitedPresets.add( preset);
+			if( preset.name === undefined) {
+				if( !this.#defaultPresets.includes( preset))
+					throw new Error( `default ${ preset.constructor.name} not from the presentation`);
+			} else {
+				this.#visitPresets( preset.inherited);
+				this.#claimId( preset.name, preset);
+				this.#namedPresets.push( preset);
+			}
+		}
+	}
+
+	#subjectBlock( subject, transition) {
+		if( subject.name !== undefined)
+			this.#claimId( subject.name, subject);
+		const header = `${ subject.name === undefined? '': subject.name + ':'}${ this.#typeName( subject.constructor)}${ this.#bases( subject)}`;
+		if( !transition)
+			return [ header, ...this.#propertyLines( subject, ':=')];
+		return [
+			`${ header} ${ this.#transitionHeader( transition)}`,
+			...this.#propertyLines( subject, ':='),
+			...this.#propertyLines( transition, '@'),
+			...this.#parameterLines( transition),
+		];
+	}
+
+	#claimId( id, object) {
+		if( this.#ids.has( id) && this.#ids.get( id) !== object)
+			throw new Error( `id collision: ${ id}`);
+		this.#ids.set( id, object);
+	}
+
+	#typeName( type) {
+		const name = this.#config.getSubjectTypeName( type);
+		if( name === undefined)
+			throw new Error( `unregistered type: ${ type.name}`);
+		return this.#alias( name);
+	}
+
+	#transitionHeader( transition) {
+		const name = this.#config.getTransitionTypeName( transition.constructor);
+		if( name === undefined)
+			throw new Error( `unregistered transition type: ${ transition.constructor.name}`);
+		return this.#alias( name) + this.#bases( transition) + ( transition.auto? ' auto': '');
+	}
+
+	#alias( name) {
+		const index = name.lastIndexOf( '.');
+		if( index < 0)
+			return name;
+		for( const [ alias, aliasedName] of [ ...this.#aliases, ...this.#importedAliases])
+			if( aliasedName === name)
+				return alias;
+		const alias = name.substring( index + 1);
+		if( this.#config.getSubjectType( alias) || this.#config.getTransitionType( alias)
+				|| this.#aliases.has( alias) || this.#importedAliases.has( alias)
+				|| this.#propertySpaces.some( propertySpace => propertySpace.getType( alias) !== undefined))
+			throw new Error( `cannot alias ${ name}, ${ alias} already exists`);
+		this.#aliases.set( alias, name);
+		return alias;
+	}
+
+	#bases( object) {
+		const inherited = object.inherited;
+		if( inherited.length === 0 || inherited.length === 1 && inherited[ 0].name === undefined)
+			return '';
+		for( const preset of inherited)
+			if( preset.name === undefined)
+				throw new Error( 'a default preset cannot be inherited along with other presets');
+		return `[${ inherited.map( preset => this.#references.get( preset) || preset.name).join( ' ')}]`;
+	}
+
+	#propertyLines( object, operator) {
+		const lines = [];
+		for( const [ name, type] of object.propertySpace) {
+			const value = object.getLocal( name);
+			const expression = this.#sourceMap.expressionOf( object, name);
+			if( value !== undefined)
+				lines.push( `\t${ this.#alias( name)} ${ operator} ${
+						expression !== undefined? expression: formatValue( type, value, this.#sourceMap.unitOf( object, name))}`);
+		}
+		return lines;
+	}
+
+	#parameterLines( transition) {
+		const lines = [];
+		for( const name of transition.parameterNames()) {
+			const value = transition.getParameter( name);
+			const expression = this.#sourceMap.expressionOfParameter( transition, name);
+			if( value !== undefined)
+				lines.push( `\t${ name} = ${ expression !== undefined? expression: formatValue( transition.getParameterType( name), value,
+						this.#sourceMap.unitOfParameter( transition, name))}`);
+		}
+		return lines;
+	}
+}
+
+// the units of the elements of a value, undefined if none is written in one
+function elementUnits( units) {
+	return units.some( unit => unit !== undefined)? Object.freeze( units): undefined;
+}
+
+function formatScript( script, source) {
+	const lines = script.split( '\n', -1);
+	const formatted = [];
+	for( const block of splitBlocks( lines)) {
+		const formattedLines = []; // [ { indent, name, operator, rest, comment}], name and operator only if aligned
+		for( let lineIndex = block.start; lineIndex < block.end; lineIndex++) {
+			const [ , indent, content = ''] = LINE.exec( lines[ lineIndex]); // always succeeds
+			if( !content.trim()) {
+				formattedLines.push( undefined);
+				continue;
+			}
+			if( content.startsWith( '#')) {
+				formattedLines.push( { indent, rest: content.trimEnd()});
+				continue;
+			}
+			if( content.startsWith( ' '))
+				throw new ParseError( source, lines, lineIndex, indent.length, 'space-indentation is illegal', 'indentation',
+						indent.length + /^ */.exec( content)[ 0].length);
+			const tokens = new Tokens( source, lines, lineIndex, indent.length);
+			const comment = tokens.comment === undefined? undefined: tokens.comment.trimEnd();
+			const operator = tokens.token( 1);
+			if( indent && operator !== undefined && [ 'coloneq', 'at', 'eq'].includes( operator.name))
+				formattedLines.push( { indent, name: tokens.token( 0).value, operator: operator.value, rest: formatTokens( tokens, 2),
+						comment});
+			else
+				formattedLines.push( { indent, rest: formatTokens( tokens, 0), comment});
+		}
+		const widths = new Map(); // Map< string, number>, the widths of the names by indents
+		for( const line of formattedLines)
+			if( line !== undefined && line.name !== undefined)
+				widths.set( line.indent, Math.max( widths.get( line.indent) || 0, line.name.length));
+		for( const line of formattedLines)
+			if( line === undefined)
+				formatted.push( '');
+			else {
+				const code = line.name === undefined? line.rest
+						: `${ line.name.padEnd( widths.get( line.indent))} ${ line.operator}${ line.rest? ' ' + line.rest: ''}`;
+				formatted.push( line.indent + [ code, line.comment].filter( Boolean).join( ' '));
+			}
+	}
+	const result = formatted.filter( ( line, i) => line || formatted[ i - 1]); // no blank lines at the start or in a row
+	while( result.length && !result[ result.length - 1])
+		result.pop();
+	return result.length? result.join( '\n') + '\n': '';
+}
+
+// the tokens from the start, spaced as ScriptWriter writes them
+function formatTokens( tokens, start) {
+	let formatted = '';
+	let depth = 0; // of braces, in which colons are followed by spaces
+	for( let index = start; index < tokens.length; index++) {
+		const token = tokens.token( index);
+		const previous = index > start? tokens.token( index - 1): undefined;
+		if( previous !== undefined && !( [ 'lparen', 'lbracket', 'lbrace', 'dot'].includes( previous.name)
+				|| [ 'rparen', 'rbracket', 'rbrace', 'comma', 'colon', 'dot', 'percent'].includes( token.name)
+				|| previous.name === 'colon' && !depth
+				|| token.name === 'lbracket' && [ 'id', 'type'].includes( previous.name) // bases
+				|| token.name === 'lparen' && previous.name === 'id' // function calls
+				|| token.name === 'id' && previous.name === 'num' // units
+				|| token.value === '^' || previous.value === '^' // binding the tightest
+				|| previous.name === 'op' && isUnary( tokens, index - 1, start)))
+			formatted += ' ';
+		if( token.name === 'lbrace')
+			depth++;
+		else if( token.name === 'rbrace')
+			depth--;
+		const subtraction = token.name === 'num' && token.value.startsWith( '-') && previous !== undefined
+				&& [ 'num', 'id', 'rparen', 'percent'].includes( previous.name); // "2-1" is lexed as two numbers
+		formatted += subtraction? `- ${ formatNumber( -Number( token.value))}`
+				: token.name === 'num'? formatNumber( Number( token.value))
+				: token.name === 'color' && token.value.startsWith( '#')? Color.of( token.value).toString()
+				: token.value;
+	}
+	return formatted;
+}
+
+// whether an operator is a negation, not following an operand
+function isUnary( tokens, index, start) {
+	const previous = index > start? tokens.token( index - 1): undefined;
+	return previous === undefined || [ 'op', 'lparen', 'lbracket', 'lbrace', 'comma', 'colon', 'coloneq', 'eq', 'at']
+			.includes( previous.name);
+}
+
+// lengths and angles in the unit if given, see SourceMap, those in tuples, lists, and dictionaries in arrays of units
+function formatValue( propertyType, value, unit = undefined) {
+	if( propertyType === BOOLEAN_TYPE)
+		return value? 'true': 'false';
+
+	if( propertyType === FLOAT_TYPE || propertyType === POSITIVE_FLOAT_TYPE || propertyType === FRACTION_TYPE)
+		return formatNumber( value);
+
+	if( MEASURE_TYPES.has( propertyType))
+		return unit === undefined? formatNumber( value)
+				: `${ formatNumber( Number( ( value / unit.scale).toPrecision( 15)))}${ unit.name}`; // no rounding errors
+
+	if( propertyType === DURATION_TYPE)
+		return value > 0 && value % 1000 === 0? `${ formatNumber( value / 1000)}s`: `${ formatNumber( value)}ms`;
+
+	if( propertyType === STRING_TYPE || propertyType instanceof EnumType)
+		return encodeString( value);
+
+	if( propertyType === COLOR_TYPE)
+		return value.toString();
+
+	if( propertyType instanceof TupleType)
+		return `(${ propertyType.elementTypes.map( ( elementType, i) => formatValue( elementType, value[ i], unit && unit[ i])).join( ', ')})`;
+
+	if( propertyType instanceof ListType)
+		return `[${ value.map( ( element, i) => formatValue( propertyType.elementType, element, unit && unit[ i])).join( ', ')}]`;
+
+	if( propertyType instanceof DictionaryType)
+		return `{${ value.map( ( [ name, element], i) =>
+				`${ formatKey( name)}: ${ formatValue( propertyType.valueType, element, unit && unit[ i])}`).join( ', ')}}`;
+
+	throw new Error( `bug: unrecognized property type: ${ propertyType.name}`); // bug because types are closed
+}
+
+// the num token does not accept exponents, which String() uses for very large and very small numbers
+function formatNumber( number) {
+	const string = String( number);
+	const match = /^(-?)([0-9])(?:\.([0-9]+))?e([+-][0-9]+)$/.exec( string);
+	if( !match)
+		return string;
+	const [ , sign, head, tail = '', exponentString] = match;
+	const digits = head + tail;
+	const exponent = Number.parseInt( exponentString);
+	if( exponent < 0)
+		return `${ sign}0.${ '0'.repeat( -exponent - 1)}${ digits}`;
+	if( exponent >= tail.length)
+		return sign + digits.padEnd( exponent + 1, '0');
+	return `${ sign}${ digits.substring( 0, exponent + 1)}.${ digits.substring( exponent + 1)}`;
+}
+
+function formatKey( name) {
+	return DICTIONARY_KEY.test( name)? name: encodeString( name);
+}
+
+function encodeString( string) {
+	return `'${ string.replace( /[\\'\n\r\t]/g, match => {
+		switch( match) {
+			case '\\': return '\\\\';
+			case '\'': return '\\\'';
+			case '\n': return '\\n';
+			case '\r': return '\\r';
+			case '\t': return '\\t';
+			default: throw new Error( 'bug');
+		}
+	})}'`;
+}
@@ -0,0 +1,167 @@
+const DEGREE = Math.PI / 180;
+
+/**
+ * The camera of a view, turning world coordinates into normalized device coordinates (NDC), x and y within [-1, 1] for
+ * what is in the view. The world has x pointing right, y down, and z away from the viewer, as on the screen; the camera
+ * is at the view's x, y, and z looking towards +z before it is rotated by its yaw (around y), pitch (around x), and roll
+ * (around z), in this order, all in degrees.
+ *
+ * An orthographic projection, the default, shows the view's width and height around the camera. A perspective one
+ * shows what is within its horizontal and vertical fields of view, h-fov and v-fov in degrees.
+ *
+ * Matrices are frozen arrays of 16 numbers in row-major order, applied to column vectors. The projection matrix keeps
+ * the depth, the distance along the axis of the camera, in z, and puts it in w too for perspective projections.
+ */
+export class Camera {
+
+	#projection;
+	#viewMatrix;
+	#projectionMatrix;
+
+	// values are read from the scene if given, so that the camera follows transitions
+	constructor( view, scene = undefined) {
+		const get = name => scene === undefined? view.get( name): scene.get( view, name);
+		this.#viewMatrix = Object.freeze( multiply(
+				transpose( rotation( get( 'pitch') || 0, get( 'yaw') || 0, get( 'roll') || 0)),
+				translation( -( get( 'x') || 0), -( get( 'y') || 0), -( get( 'z') || 0))));
+		this.#projection = get( 'projection') || 'orthographic';
+		if( this.#projection === 'orthographic') {
+			const width = get( 'width');
+			const height = get( 'height');
+			if( width === undefined || height === undefined)
+				throw new Error( 'width and height required for orthographic projection');
+			this.#projectionMatrix = Object.freeze( [
+				2 / width, 0, 0, 0,
+				0, 2 / height, 0, 0,
+				0, 0, 1, 0,
+				0, 0, 0, 1,
+			]);
+		} else {
+			const hFov = get( 'h-fov');
+			const vFov = get( 'v-fov');
+			if( hFov === undefined || vFov === undefined)
+				throw new Error( 'h-fov and v-fov required for perspective projection');
+			if( hFov >= 180 || vFov >= 180)
+				throw new Error( `fields of view must be less than 180 degrees: ${ hFov}, ${ vFov}`);
+			this.#projectionMatrix = Object.freeze( [
+				1 / Math.tan( hFov * DEGREE / 2), 0, 0, 0,
+				0, 1 / Math.tan( vFov * DEGREE / 2), 0, 0,
+				0, 0, 1, 0,
+				0, 0, 1, 0,
+			]);
+		}
+	}
+
+	get projection() {
+		return this.#projection;
+	}
+
+	get viewMatrix() {
+		return this.#viewMatrix;
+	}
+
+	get projectionMatrix() {
+		return this.#projectionMatrix;
+	}
+
+	/**
+	 * Projects a point, [ x, y, z] in the world, to { x, y, depth, behind, clipped}, x and y in NDC. A point is behind the
+	 * camera if its depth is negative, or not positive in perspective, where its x and y are then meaningless. A point is
+	 * clipped if it is behind the camera or out of the view.
+	 */
+	project( point) {
+		const [ x, y, depth, w] = transform( this.#projectionMatrix, transform( this.#viewMatrix, point));
+		const behind = this.#projection === 'perspective'? depth <= 0: depth < 0;
+		const ndcX = x / w;
+		const ndcY = y / w;
+		return Object.freeze( {
+			x: ndcX,
+			y: ndcY,
+			depth,
+			behind,
+			clipped: behind || !( ndcX >= -1 && ndcX <= 1 && ndcY >= -1 && ndcY <= 1),
+		});
+	}
+
+	/**
+	 * Projects the corners of an entity, a rectangle of its width and height centered at its x, y, and z, rotated the same
+	 * way as cameras are. Entities without widths and heights, such as lines and paths, are the rectangles bounding their
+	 * ends or vertices, relative to x and y. Corners are listed clockwise as seen on the screen unrotated, from the top
+	 * left. Returns { corners, behind, clipped, hidden}: behind and clipped if any corner is, and hidden if all corners are
+	 * behind the camera or beyond the same edge of the view, so that the entity cannot be seen.
+	 */
+	projectEntity( entity, scene = undefined) {
+		const get = name => entity.propertySpace.getType( name) === undefined? undefined
+				: scene === undefined? entity.get( name): scene.get( entity, name);
+		const model = multiply(
+				translation( get( 'x') || 0, get( 'y') || 0, get( 'z') || 0),
+				rotation( get( 'pitch') || 0, get( 'yaw') || 0, get( 'roll') || 0));
+		const points = entity.propertySpace.getType( 'width') !== undefined
+				? [ [ -( get( 'width') || 0) / 2, -( get( 'height') || 0) / 2], [ ( get( 'width') || 0) / 2, ( get( 'height') || 0) / 2]]
+				: [ [ 0, 0], [ get( 'end-x') || 0, get( 'end-y') || 0], ...get( 'vertices') || []];
+		const [ left, right] = [ Math.min( ...points.map( ( [ x]) => x)), Math.max( ...points.map( ( [ x]) => x))];
+		const [ top, bottom] = [ Math.min( ...points.map( ( [ , y]) => y)), Math.max( ...points.map( ( [ , y]) => y))];
+		const corners = Object.freeze( [
+			[ left, top],
+			[ right, top],
+			[ right, bottom],
+			[ left, bottom],
+		].map( ( [ x, y]) => this.project( transform( model, [ x, y, 0]))));
+		const all = predicate => corners.every( predicate);
+		return Object.freeze( {
+			corners,
+			behind: corners.some( corner => corner.behind),
+			clipped: corners.some( corner => corner.clipped),
+			hidden: all( corner => corner.behind)
+					|| !corners.some( corner => corner.behind)
+							&& ( all( corner => corner.x < -1) || all( corner => corner.x > 1)
+									|| all( corner => corner.y < -1) || all( corner => corner.y > 1)),
+		});
+	}
+}
+
+// from NDC to a screen of the size given, with the origin at the top left
+export function toScreen( point, width, height) {
+	return Object.freeze( { x: ( point.x + 1) / 2 * width, y: ( point.y + 1) / 2 * height});
+}
+
+function multiply( a, b) {
+	const product = [];
+	for( let row = 0; row < 4; row++)
+		for( let column = 0; column < 4; column++) {
+			let sum = 0;
+			for( let i = 0; i < 4; i++)
+				sum += a[ row * 4 + i] * b[ i * 4 + column];
+			product.push( sum);
+		}
+	return product;
+}
+
+function transpose( m) {
+	return [ 0, 1, 2, 3].flatMap( row => [ 0, 1, 2, 3].map( column => m[ column * 4 + row]));
+}
+
+// [ x, y, z] or [ x, y, z, w] to [ x, y, z, w]
+function transform( m, [ x, y, z, w = 1]) {
+	return [ 0, 1, 2, 3].map( row => m[ row * 4] * x + m[ row * 4 + 1] * y + m[ row * 4 + 2] * z + m[ row * 4 + 3] * w);
+}
+
+function translation( x, y, z) {
+	return [
+		1, 0, 0, x,
+		0, 1, 0, y,
+		0, 0, 1, z,
+		0, 0, 0, 1,
+	];
+}
+
+// yaw around y, then pitch around x, then roll around z, in degrees
+function rotation( pitch, yaw, roll) {
+	const [ sp, cp] = [ Math.sin( pitch * DEGREE), Math.cos( pitch * DEGREE)];
+	const [ sy, cy] = [ Math.sin( yaw * DEGREE), Math.cos( yaw * DEGREE)];
+	const [ sr, cr] = [ Math.sin( roll * DEGREE), Math.cos( roll * DEGREE)];
+	return multiply( multiply(
+			[ cy, 0, sy, 0, 0, 1, 0, 0, -sy, 0, cy, 0, 0, 0, 0, 1],
+			[ 1, 0, 0, 0, 0, cp, -sp, 0, 0, sp, cp, 0, 0, 0, 0, 1]),
+			[ cr, -sr, 0, 0, sr, cr, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+}
@@ -0,0 +1,363 @@
+import { Codec} from './codec.js';
+import { JsonReader, JsonWriter, decodeValue, encodeValue} from './json.js';
+import {
+	transaction,
+	Preset, ViewPreset, EntityPreset, TransitionPreset,
+	View, Entity, Transition,
+} from './model.js';
+
+const HISTORY_VERSION = 1;
+const LIVE = Symbol(); // the object an operation adds or removes, so that undoing a removal brings back the same object
+
+/**
+ * The undo and redo history of the changes made to a presentation through the methods of this class. Each change is
+ * recorded as an operation, a plain object referring to presets by ids, and to subjects and transitions by indices, so
+ * that the history can be written with toJSON() and read back with History.fromJSON() after a reload, along with the
+ * presentation as it was written.
+ *
+ * Changes are undone one at a time, or together as a command if made in batch(). Commands with the same merge key in a
+ * row are merged into one, so that a continuous edit, such as a drag, is undone at once. Changes made to the
+ * presentation other than through its history break it.
+ */
+export class History {
+
+	static fromJSON( json, presentation, codec = new Codec()) {
+		if( typeof json !== 'object' || json === null || json.version !== HISTORY_VERSION)
+			throw new Error( `unsupported history version: ${ json && json.version}`);
+		const history = new History( presentation, codec);
+		for( const [ name, commands] of [ [ 'done', history.#done], [ 'undone', history.#undone]]) {
+			if( !Array.isArray( json[ name]))
+				throw new Error( `array of commands expected: ${ name}`);
+			for( const command of json[ name]) {
+				if( typeof command !== 'object' || command === null || !Array.isArray( command.operations))
+					throw new Error( `not a command: ${ JSON.stringify( command)}`);
+				commands.push( { mergeKey: command.mergeKey, operations: structuredClone( command.operations)});
+			}
+		}
+		return history;
+	}
+
+	#presentation;
+	#codec;
+	#done = []; // [ { mergeKey, operations}], the command done last at the end
+	#undone = []; // same as above, the command undone last at the end
+	#mergeable = false; // whether the command done last can be merged into, not after undo or redo
+	#batch = undefined; // the operations of the batch being run
+
+	constructor( presentation, codec = new Codec()) {
+		this.#presentation = presentation;
+		this.#codec = codec;
+	}
+
+	get presentation() {
+		return this.#presentation;
+	}
+
+	get canUndo() {
+		return this.#done.length > 0;
+	}
+
+	get canRedo() {
+		return this.#undone.length > 0;
+	}
+
+	// sets a property of a preset, a subject, or a transition, or unsets it if the value is undefined
+	set( object, name, value) {
+		const type = object.propertySpace.getType( name);
+		if( type === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		this.#perform( {
+			op: 'set',
+			object: this.#reference( object),
+			name,
+			oldValue: encode( type, object.getLocal( name)),
+			newValue: encode( type, value === undefined? undefined: type.validate( value)),
+		});
+	}
+
+	addPreset( preset, index = this.#presentation.presets().length) {
+		this.#perform( { op: 'add-preset', index, preset: this.#writer().writePreset( preset), [ LIVE]: preset});
+	}
+
+	removePreset( preset) {
+		const index = this.#indexOf( this.#presentation.presets(), preset, 'preset');
+		this.#perform( { op: 'remove-preset', index, preset: this.#writer().writePreset( preset), [ LIVE]: preset});
+	}
+
+	addSubject( subject, index = this.#presentation.subjects().length) {
+		this.#perform( { op: 'add-subject', index, subject: this.#writer().writeSubject( subject), [ LIVE]: subject});
+	}
+
+	removeSubject( subject) {
+		const index = this.#indexOf( this.#presentation.subjects(), subject, 'subject');
+		this.#perform( { op: 'remove-subject', index, subject: this.#writer().writeSubject( subject), [ LIVE]: subject});
+	}
+
+	addTransition( transition, index = this.#presentation.transitions().length) {
+		this.#indexOf( this.#presentation.subjects(), transition.target, 'transition target');
+		this.#perform( { op: 'add-transition', index, transition: this.#writer().writeTransition( transition), [ LIVE]: transition});
+	}
+
+	removeTransition( transition) {
+		const index = this.#indexOf( this.#presentation.transitions(), transition, 'transition');
+		this.#perform( { op: 'remove-transition', index, transition: this.#writer().writeTransition( transition), [ LIVE]: transition});
+	}
+
+	// changes the presets a preset, a subject, or a transition inherits from
+	rebase( object, inherited) {
+		const writer = this.#writer();
+		this.#perform( {
+			op: 'rebase',
+			object: this.#reference( object),
+			oldInherits: writer.writeInherits( object.inherited),
+			newInherits: writer.writeInherits( inherited),
+		});
+	}
+
+	// moves a transition to an index of the transitions, as it is after the move
+	moveTransition( transition, index) {
+		const from = this.#indexOf( this.#presentation.transitions(), transition, 'transition');
+		this.#perform( { op: 'move-transition', from, to: index});
+	}
+
+	retarget( transition, target) {
+		this.#perform( {
+			op: 'retarget',
+			transition: this.#indexOf( this.#presentation.transitions(), transition, 'transition'),
+			oldTarget: this.#presentation.subjects().indexOf( transition.target),
+			newTarget: this.#indexOf( this.#presentation.subjects(), target, 'subject'),
+		});
+	}
+
+	/**
+	 * Runs an action making changes through this history, so that they are undone together. Either all the changes are
+	 * made, or none if the action throws. A merge key, a string, merges the changes into the command done last if it has
+	 * the same key. Returns what the action returns.
+	 */
+	batch( action, mergeKey = undefined) {
+		if( mergeKey !== undefined && typeof mergeKey !== 'string')
+			throw new Error( `merge key not a string: ${ mergeKey}`);
+		if( this.#batch !== undefined)
+			return action(); // joins the outer batch
+		return transaction( () => {
+			this.#batch = [];
+			try {
+				const result = action();
+				if( this.#batch.length)
+					this.#push( { mergeKey, operations: this.#batch});
+				return result;
+			} catch( error) {
+				for( const operation of this.#batch.reverse())
+					this.#apply( operation, false);
+				throw error;
+			} finally {
+				this.#batch = undefined;
+			}
+		});
+	}
+
+	// returns whether there was anything to undo
+	undo() {
+		if( !this.#done.length)
+			return false;
+		const command = this.#done.pop();
+		transaction( () => {
+			for( const operation of [ ...command.operations].reverse())
+				this.#apply( operation, false);
+		});
+		this.#undone.push( command);
+		this.#mergeable = false;
+		return true;
+	}
+
+	// returns whether there was anything to redo
+	redo() {
+		if( !this.#undone.length)
+			return false;
+		const command = this.#undone.pop();
+		transaction( () => {
+			for( const operation of command.operations)
+				this.#apply( operation, true);
+		});
+		this.#done.push( command);
+		this.#mergeable = false;
+		return true;
+	}
+
+	toJSON() {
+		return JSON.parse( JSON.stringify( { version: HISTORY_VERSION, done: this.#done, undone: this.#undone}));
+	}
+
+	#perform( operation) {
+		this.#apply( operation, true);
+		if( this.#batch !== undefined)
+			this.#batch.push( operation);
+		else
+			this.#push( { mergeKey: undefined, operations: [ operation]});
+	}
+
+	#push( command) {
+		this.#undone = [];
+		const last = this.#done[ this.#done.length - 1];
+		if( this.#mergeable && command.mergeKey !== undefined && last && last.mergeKey === command.mergeKey)
+			for( const operation of command.operations)
+				merge( last.operations, operation);
+		else
+			this.#done.push( command);
+		this.#mergeable = true;
+	}
+
+	#apply( operation, forward) {
+		const presentation = this.#presentation;
+		switch( operation.op) {
+			case 'set': {
+				const object = this.#resolve( operation.object);
+				const type = object.propertySpace.getType( operation.name);
+				if( type === undefined)
+					throw new Error( `property name undefined: ${ operation.name}`);
+				const value = forward? operation.newValue: operation.oldValue;
+				object.set( operation.name, value === undefined? undefined: decodeValue( type, value));
+				return;
+			}
+			case 'add-preset':
+			case 'remove-preset':
+				if( forward === ( operation.op === 'add-preset'))
+					presentation.addPreset( this.#live( operation, () => this.#reader().readPreset( presentation, operation.preset)),
+							operation.index);
+				else
+					operation[ LIVE] = this.#at( presentation.presets(), operation.index, presentation.removePreset);
+				return;
+			case 'add-subject':
+			case 'remove-subject':
+				if( forward === ( operation.op === 'add-subject'))
+					presentation.addSubject( this.#live( operation, () => this.#reader().readSubject( presentation, operation.subject)),
+							operation.index);
+				else
+					operation[ LIVE] = this.#at( presentation.subjects(), operation.index, presentation.removeSubject);
+				return;
+			case 'add-transition':
+			case 'remove-transition':
+				if( forward === ( operation.op === 'add-transition'))
+					presentation.addTransition(
+							this.#live( operation, () => this.#reader().readTransition( presentation, operation.transition)),
+							operation.index);
+				else
+					operation[ LIVE] = this.#at( presentation.transitions(), operation.index, presentation.removeTransition);
+				return;
+			case 'rebase': {
+				const object = this.#resolve( operation.object);
+				object.rebase( this.#reader().readInherits(
+						presentation, presetTypeOf( object), forward? operation.newInherits: operation.oldInherits));
+				return;
+			}
+			case 'move-transition': {
+				const [ from, to] = forward? [ operation.from, operation.to]: [ operation.to, operation.from];
+				this.#at( presentation.transitions(), from, transition => presentation.moveTransition( transition, to));
+				return;
+			}
+			case 'retarget': {
+				const target = this.#at( presentation.subjects(), forward? operation.newTarget: operation.oldTarget, subject => subject);
+				this.#at( presentation.transitions(), operation.transition, transition => transition.retarget( target));
+				return;
+			}
+			default:
+				throw new Error( `unknown operation: ${ operation.op}`);
+		}
+	}
+
+	// the object an operation adds, read from the operation unless it is known
+	#live( operation, read) {
+		if( operation[ LIVE] === undefined)
+			operation[ LIVE] = read();
+		return operation[ LIVE];
+	}
+
+	// calls a function, a method of the presentation or not, with an item of a list, returning the item
+	#at( list, index, callback) {
+		const item = list[ index];
+		if( item === undefined)
+			throw new Error( `index out of range: ${ index}`);
+		callback.call( this.#presentation, item);
+		return item;
+	}
+
+	#indexOf( list, item, what) {
+		const index = list.indexOf( item);
+		if( index < 0)
+			throw new Error( `${ what} not in the presentation`);
+		return index;
+	}
+
+	// { default}, { preset}, { subject}, or { transition}, what an object is, by the id or the index of it
+	#reference( object) {
+		const presentation = this.#presentation;
+		if( object === presentation.defaultViewPreset)
+			return { default: 'view'};
+		if( object === presentation.defaultEntityPreset)
+			return { default: 'entity'};
+		if( object === presentation.defaultTransitionPreset)
+			return { default: 'transition'};
+		if( object instanceof Preset) {
+			if( object.name !== undefined && presentation.get( object.name) === object)
+				return { preset: object.name};
+			const imported = presentation.imports().flatMap( imported => imported.presets()).find( ( [ , preset]) => preset === object);
+			if( imported)
+				return { preset: imported[ 0]};
+			throw new Error( `preset not in the presentation: ${ object.name}`);
+		}
+		if( object instanceof Transition)
+			return { transition: this.#indexOf( presentation.transitions(), object, 'transition')};
+		return { subject: this.#indexOf( presentation.subjects(), object, 'subject')};
+	}
+
+	#resolve( reference) {
+		const presentation = this.#presentation;
+		const object = reference.default === 'view'? presentation.defaultViewPreset
+				: reference.default === 'entity'? presentation.defaultEntityPreset
+				: reference.default === 'transition'? presentation.defaultTransitionPreset
+				: reference.preset !== undefined? presentation.get( reference.preset)
+				: reference.subject !== undefined? presentation.subjects()[ reference.subject]
+				: reference.transition !== undefined? presentation.transitions()[ reference.transition]
+				: undefined;
+		if( object === undefined)
+			throw new Error( `object not found: ${ JSON.stringify( reference)}`);
+		return object;
+	}
+
+	#writer() {
+		return new JsonWriter( this.#codec, this.#presentation);
+	}
+
+	#reader() {
+		return new JsonReader( this.#codec);
+	}
+}
+
+function encode( type, value) {
+	return value === undefined? undefined: encodeValue( type, value);
+}
+
+// adds an operation to those of a command, in place of an earlier set of the same property, with only sets in between
+function merge( operations, operation) {
+	if( operation.op === 'set')
+		for( let i = operations.length - 1; i >= 0 && operations[ i].op === 'set'; i--) {
+			const earlier = operations[ i];
+			if( earlier.name === operation.name && JSON.stringify( earlier.object) === JSON.stringify( operation.object)) {
+				earlier.newValue = operation.newValue;
+				return;
+			}
+		}
+	operations.push( operation);
+}
+
+function presetTypeOf( object) {
+	if( object instanceof Preset)
+		return object.constructor;
+	if( object instanceof View)
+		return ViewPreset;
+	if( object instanceof Entity)
+		return EntityPreset;
+	if( object instanceof Transition)
+		return TransitionPreset;
+	throw new Error( `not a preset, a subject, or a transition: ${ object}`);
+}
@@ -0,0 +1,222 @@
+import { SceneEvaluator} from './scene.js';
+import { escapeXml, renderSvg} from './svg.js';
+import { Timeline} from './timeline.js';
+
+// numbers and colors in svgs, which frames in between two of the same elements are interpolated in
+const NUMBER = /#[0-9a-f]{6}|-?[0-9]+(?:\.[0-9]+)?/g;
+const TOLERANCES = Object.freeze( { number: 0.01, color: 1}); // numbers being rounded to 0.001, color channels to integers
+
+// the player, run in the browser with the deck in a JSON script element
+const PLAYER = `
+const deck = JSON.parse( document.getElementById( 'deck').textContent);
+const stage = document.getElementById( 'stage');
+let current = 0; // the number of steps shown, 0 for the empty stage
+let animation = undefined;
+const NUMBER = ${ NUMBER};
+${ mix}
+${ interpolate}
+
+// a frame, the index of an svg or [ from, to, progress] for one in between two
+function show( frame) {
+	stage.innerHTML = typeof frame === 'number'? deck.svgs[ frame]
+			: interpolate( deck.svgs[ frame[ 0]], deck.svgs[ frame[ 1]], frame[ 2]);
+}
+
+function settle( step) {
+	if( animation !== undefined)
+		cancelAnimationFrame( animation);
+	animation = undefined;
+	current = Math.max( 0, Math.min( deck.steps.length, step));
+	show( current === 0? deck.empty: deck.steps[ current - 1].end);
+	history.replaceState( null, '', '#' + current);
+}
+
+function play( step) {
+	const frames = deck.steps[ step - 1].frames;
+	settle( step - 1);
+	current = step;
+	let start = undefined;
+	const tick = now => {
+		start = start === undefined? now: start;
+		const index = Math.floor( ( now - start) * deck.frameRate / 1000);
+		if( index >= frames.length)
+			return settle( step);
+		show( frames[ index]);
+		animation = requestAnimationFrame( tick);
+	};
+	animation = requestAnimationFrame( tick);
+}
+
+function next() {
+	if( animation !== undefined)
+		settle( current); // skips to the end of the step being played
+	else if( current < deck.steps.length)
+		play( current + 1);
+}
+
+function previous() {
+	settle( current - 1);
+}
+
+function fromHash() {
+	const step = Number.parseInt( location.hash.substring( 1));
+	settle( Number.isNaN( step)? 0: step);
+}
+
+document.addEventListener( 'keydown', event => {
+	switch( event.key) {
+		case 'ArrowRight': case 'ArrowDown': case 'PageDown': case ' ': next(); break;
+		case 'ArrowLeft': case 'ArrowUp': case 'PageUp': previous(); break;
+		case 'Home': settle( 0); break;
+		case 'End': settle( deck.steps.length); break;
+		default: return;
+	}
+	event.preventDefault();
+});
+stage.addEventListener( 'click', next);
+window.addEventListener( 'hashchange', fromHash);
+fromHash();
+if( current === 0 && deck.steps.length && deck.steps[ 0].auto)
+	play( 1); // the auto transitions at the start play by themselves
+`;
+
+const STYLE = `
+html, body { margin: 0; height: 100%; background: #000000; overflow: hidden; }
+#stage { width: 100%; height: 100%; }
+#stage > svg { display: block; width: 100%; height: 100%; }
+`;
+
+/**
+ * Exports a presentation to a single HTML file playing it, with no external resources. The arrow keys go forward and
+ * backward a step, playing the transitions of the step in the former, the auto ones following the manual one. A first
+ * step of auto transitions plays as the file is opened. The URL hash tells the number of steps shown, "#0" for the empty
+ * stage, so that a step can be linked to.
+ *
+ * The scenes are rendered to SVG in advance, at the frame rate given, from 30 frames per second by default. Only
+ * keyframes are kept, the frames in between stored as the progress from one to the next, where the numbers and colors
+ * of the keyframes are interpolated to in the browser.
+ */
+export function renderHtml( presentation, title = 'Keyframe', frameRate = 30) {
+	if( !( typeof frameRate === 'number' && Number.isFinite( frameRate) && frameRate > 0))
+		throw new Error( `not a frame rate: ${ frameRate}`);
+	const render = scene => scene.view === undefined? '': renderSvg( scene);
+	const svgs = new Map(); // Map< string, number>, identical frames are stored once
+	const svgIndex = svg => {
+		if( !svgs.has( svg))
+			svgs.set( svg, svgs.size);
+		return svgs.get( svg);
+	};
+
+	const timeline = new Timeline( presentation);
+	const evaluator = new SceneEvaluator( presentation);
+	const steps = [];
+	const presentationSteps = presentation.steps();
+	for( let stepIndex = 0; stepIndex < timeline.stepCount; stepIndex++) {
+		const start = timeline.startOf( stepIndex);
+		const end = stepIndex + 1 < timeline.stepCount? timeline.startOf( stepIndex + 1): timeline.duration;
+		const svgFrames = [];
+		for( let i = 0, time = start; time < end; time = start + ++i * 1000 / frameRate)
+			svgFrames.push( render( timeline.sample( time)));
+		steps.push( {
+			auto: presentationSteps[ stepIndex].auto,
+			frames: keyframes( svgFrames).map( frame => typeof frame === 'string'? svgIndex( frame)
+					: [ svgIndex( frame[ 0]), svgIndex( frame[ 1]), frame[ 2]]),
+			end: svgIndex( render( evaluator.evaluate( stepIndex))),
+		});
+	}
+	const deck = { frameRate, empty: svgIndex( render( evaluator.evaluate( -1))), steps, svgs: [ ...svgs.keys()]};
+
+	return [
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		`<title>${ escapeXml( title)}</title>`,
+		`<style>${ STYLE}</style>`,
+		'</head>',
+		'<body>',
+		'<div id="stage"></div>',
+		`<script type="application/json" id="deck">${ JSON.stringify( deck).replaceAll( '<', '\\u003c')}</script>`,
+		`<script>${ PLAYER}</script>`,
+		'</body>',
+		'</html>',
+		'',
+	].join( '\n');
+}
+
+// the svgs of frames, those which are the interpolations of others before and after replaced with [ from, to, progress]
+function keyframes( svgs) {
+	const frames = [ ...svgs];
+	const ranges = svgs.length? [ [ 0, svgs.length - 1]]: []; // [ from, to], the frames in between to be replaced
+	while( ranges.length) {
+		const [ from, to] = ranges.pop();
+		for( let i = from + 1; i < to; i++) {
+			const progress = progressOf( svgs[ from], svgs[ to], svgs[ i]);
+			if( progress === undefined || !matches( interpolate( svgs[ from], svgs[ to], progress), svgs[ i])) {
+				frames[ i] = svgs[ i];
+				ranges.push( [ from, i], [ i, to]);
+				break;
+			}
+			frames[ i] = [ svgs[ from], svgs[ to], progress];
+		}
+	}
+	return frames;
+}
+
+// how far a frame is from one svg to another, undefined if they are not of the same elements
+function progressOf( from, to, frame) {
+	if( !sameElements( from, to) || !sameElements( from, frame))
+		return undefined;
+	const [ starts, ends, values] = [ from, to, frame].map( svg => svg.match( NUMBER) || []);
+	let progress = 0;
+	let longest = 0; // the largest change in the tolerances, for the most accurate progress
+	starts.forEach( ( start, i) => channels( start).forEach( ( startChannel, j) => {
+		const change = channels( ends[ i])[ j] - startChannel;
+		const length = Math.abs( change) / tolerance( start);
+		if( length > longest) {
+			longest = length;
+			progress = Math.round( ( channels( values[ i])[ j] - startChannel) / change * 1e6) / 1e6;
+		}
+	}));
+	return progress;
+}
+
+// whether two svgs are of the same elements, their numbers and colors within the tolerance
+function matches( svg, other) {
+	const [ numbers, otherNumbers] = [ svg, other].map( svg => svg.match( NUMBER) || []);
+	return sameElements( svg, other) && numbers.every( ( number, i) => channels( number).every( ( channel, j) =>
+			Math.abs( channel - channels( otherNumbers[ i])[ j]) <= tolerance( number)));
+}
+
+// whether two svgs differ only in their numbers and colors, colors being where the other has colors
+function sameElements( svg, other) {
+	const [ parts, otherParts] = [ svg, other].map( svg => svg.split( NUMBER));
+	const [ numbers, otherNumbers] = [ svg, other].map( svg => svg.match( NUMBER) || []);
+	return parts.length === otherParts.length && parts.every( ( part, i) => part === otherParts[ i])
+			&& numbers.every( ( number, i) => number.startsWith( '#') === otherNumbers[ i].startsWith( '#'));
+}
+
+function tolerance( number) {
+	return TOLERANCES[ number.startsWith( '#')? 'color': 'number'];
+}
+
+function channels( number) {
+	return number.startsWith( '#')? [ 1, 3, 5].map( i => Number.parseInt( number.substring( i, i + 2), 16)): [ Number( number)];
+}
+
+// also run in the browser, with NUMBER and mix() only
+function interpolate( from, to, progress) {
+	const ends = to.match( NUMBER);
+	let i = 0;
+	return from.replace( NUMBER, start => mix( start, ends[ i++], progress));
+}
+
+// a number or a color in between two, rounded as in svgs
+function mix( start, end, progress) {
+	if( !start.startsWith( '#'))
+		return String( Math.round( ( Number( start) + ( Number( end) - Number( start)) * progress) * 1000) / 1000);
+	return '#' + [ 1, 3, 5].map( i => {
+		const [ startChannel, endChannel] = [ start, end].map( color => Number.parseInt( color.substring( i, i + 2), 16));
+		return Math.round( startChannel + ( endChannel - startChannel) * progress).toString( 16).padStart( 2, '0');
+	}).join( '');
+}
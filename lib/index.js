@@ -1,2 +1,16 @@
-export { PropertySpace, View, Entity, Transition} from './model.js';
+export {
+	Color,
+	BOOLEAN_TYPE, FLOAT_TYPE, POSITIVE_FLOAT_TYPE, FRACTION_TYPE, DURATION_TYPE, STRING_TYPE, COLOR_TYPE,
+	LENGTH_TYPE, POSITIVE_LENGTH_TYPE, ANGLE_TYPE, POSITIVE_ANGLE_TYPE,
+	EnumType, TupleType, ListType, DictionaryType,
+	PropertySpace, transaction, View, Entity, Transition, Step, SourceMap, Import, Presentation} from './model.js';
 export { ParseError, Codec} from './codec.js';
+export { JSON_VERSION} from './json.js';
+export { History} from './history.js';
+export { LINT_RULES, lint} from './lint.js';
+export { Scene, SceneState, SceneEvaluator} from './scene.js';
+export { Timeline, easing} from './timeline.js';
+export { renderSvg} from './svg.js';
+export { renderHtml} from './html.js';
+export { Camera, toScreen} from './geometry.js';
+export { LanguageServer, runLanguageServer} from './language-server.js';
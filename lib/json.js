@@ -0,0 +1,352 @@
+import {
+	Color,
+	COLOR_TYPE, TupleType, ListType, DictionaryType,
+	Import, Presentation,
+	ViewPreset, View,
+	EntityPreset, Entity,
+	TransitionPreset,
+} from './model.js';
+
+const FORMAT = 'keyframe-presentation';
+export const JSON_VERSION = 1; // of the format, see schema/presentation-1.json
+const POINTER = Symbol(); // the JSON pointer of an error, the message prefixed with it
+
+/**
+ * Writes presentations to plain objects ready for JSON.stringify(), imported presentations embedded. Only the local
+ * values of objects are written, along with the presets they inherit from, so that what is inherited stays inherited.
+ */
+export class JsonWriter {
+
+	#config;
+	#presentation;
+	#ids = new Map(); // Map< Preset, string>, imported presets included
+	#presets = []; // named presets, base presets always before the presets inheriting from them
+	#visitedPresets = new Set(); // Set< Preset>
+
+	constructor( config, presentation) {
+		this.#config = config;
+		this.#presentation = presentation;
+		for( const imported of presentation.imports())
+			for( const [ id, preset] of imported.presets()) {
+				this.#ids.set( preset, id);
+				this.#visitedPresets.add( preset);
+			}
+		for( const preset of presentation.presets())
+			this.#ids.set( preset, preset.name);
+	}
+
+	write() {
+		const presentation = this.#presentation;
+		this.#visitPresets( presentation.presets());
+		for( const subject of presentation.subjects())
+			this.#visitPresets( subject.inherited);
+		for( const transition of presentation.transitions())
+			this.#visitPresets( transition.inherited);
+
+		return {
+			format: FORMAT,
+			version: JSON_VERSION,
+			imports: presentation.imports().map( imported => ( {
+				path: imported.path,
+				...imported.namespace === undefined? {}: { namespace: imported.namespace},
+				presentation: new JsonWriter( this.#config, imported.presentation).write(),
+			})),
+			aliases: Object.fromEntries( presentation.aliases()),
+			defaultPresets: {
+				view: this.writeValues( presentation.defaultViewPreset),
+				entity: this.writeValues( presentation.defaultEntityPreset),
+				transition: this.writeValues( presentation.defaultTransitionPreset),
+			},
+			presets: this.#presets.map( preset => this.writePreset( preset)),
+			subjects: presentation.subjects().map( subject => this.writeSubject( subject)),
+			transitions: presentation.transitions().map( transition => this.writeTransition( transition)),
+		};
+	}
+
+	#visitPresets( presets) {
+		for( const preset of presets) {
+			if( this.#visitedPresets.has( preset))
+				continue;
+			this.#visitedPresets.add( preset);
+			if( preset.name === undefined) {
+				if( !this.#isDefaultPreset( preset))
+					throw new Error( `default ${ preset.constructor.name} not from the presentation`);
+			} else {
+				this.#visitPresets( preset.inherited);
+				if( !this.#ids.has( preset)) {
+					if( [ ...this.#ids.values()].includes( preset.name))
+						throw new Error( `id collision: ${ preset.name}`);
+					this.#ids.set( preset, preset.name);
+				}
+				this.#presets.push( preset);
+			}
+		}
+	}
+
+	#isDefaultPreset( preset) {
+		return preset === this.#presentation.defaultViewPreset
+				|| preset === this.#presentation.defaultEntityPreset
+				|| preset === this.#presentation.defaultTransitionPreset;
+	}
+
+	writePreset( preset) {
+		return {
+			id: preset.name,
+			type: this.#typeName( preset),
+			inherits: this.writeInherits( preset.inherited),
+			properties: this.writeValues( preset),
+		};
+	}
+
+	writeSubject( subject) {
+		return {
+			...subject.name === undefined? {}: { id: subject.name},
+			type: this.#typeName( subject),
+			inherits: this.writeInherits( subject.inherited),
+			properties: this.writeValues( subject),
+		};
+	}
+
+	// the target is written as its index in the subjects of the presentation
+	writeTransition( transition) {
+		const name = this.#config.getTransitionTypeName( transition.constructor);
+		if( name === undefined)
+			throw new Error( `unregistered transition type: ${ transition.constructor.name}`);
+		const parameters = {};
+		for( const parameterName of transition.parameterNames()) {
+			const value = transition.getParameter( parameterName);
+			if( value !== undefined)
+				parameters[ parameterName] = encodeValue( transition.getParameterType( parameterName), value);
+		}
+		return {
+			target: this.#presentation.subjects().indexOf( transition.target),
+			type: name,
+			auto: transition.auto === true,
+			inherits: this.writeInherits( transition.inherited),
+			properties: this.writeValues( transition),
+			parameters,
+		};
+	}
+
+	#typeName( object) {
+		const name = this.#config.getSubjectTypeName( object.constructor);
+		if( name === undefined)
+			throw new Error( `unregistered type: ${ object.constructor.name}`);
+		return name;
+	}
+
+	// the ids of presets to inherit from, none for the default preset
+	writeInherits( inherited) {
+		if( inherited.length === 1 && inherited[ 0].name === undefined)
+			return [];
+		return inherited.map( preset => {
+			if( preset.name === undefined)
+				throw new Error( 'a default preset cannot be inherited along with other presets');
+			if( !this.#ids.has( preset))
+				throw new Error( `preset not in the presentation: ${ preset.name}`);
+			return this.#ids.get( preset);
+		});
+	}
+
+	writeValues( object) {
+		const values = {};
+		for( const [ name, type] of object.propertySpace) {
+			const value = object.getLocal( name);
+			if( value !== undefined)
+				values[ name] = encodeValue( type, value);
+		}
+		return values;
+	}
+}
+
+/**
+ * Reads presentations from objects written by JsonWriter, as returned by JSON.parse(). Errors tell where in the object
+ * they are, with JSON pointers.
+ */
+export class JsonReader {
+
+	#config;
+
+	constructor( config) {
+		this.#config = config;
+	}
+
+	read( json) {
+		expect( json, 'object');
+		at( '/format', () => {
+			if( json.format !== FORMAT)
+				throw new Error( `not a ${ FORMAT}: ${ json.format}`);
+		});
+		at( '/version', () => {
+			if( json.version !== JSON_VERSION)
+				throw new Error( `unsupported version: ${ json.version}`);
+		});
+		const presentation = new Presentation(
+				new ViewPreset( this.#config.createViewPropertySpace(), []),
+				new EntityPreset( this.#config.createEntityPropertySpace(), []),
+				new TransitionPreset( this.#config.createTransitionPropertySpace(), []));
+		at( '/imports', () => expect( json.imports, 'array').forEach( ( item, i) => at( `/${ i}`, () => {
+			expect( item, 'object');
+			const imported = at( '/presentation', () => this.read( item.presentation));
+			presentation.addImport( new Import( item.path, item.namespace, imported));
+		})));
+		at( '/aliases', () => {
+			for( const [ alias, name] of Object.entries( expect( json.aliases, 'object')))
+				at( '/' + escapePointer( alias), () => presentation.setAlias( alias, name));
+		});
+		at( '/defaultPresets', () => {
+			expect( json.defaultPresets, 'object');
+			at( '/view', () => this.readValues( presentation.defaultViewPreset, json.defaultPresets.view));
+			at( '/entity', () => this.readValues( presentation.defaultEntityPreset, json.defaultPresets.entity));
+			at( '/transition', () => this.readValues( presentation.defaultTransitionPreset, json.defaultPresets.transition));
+		});
+		at( '/presets', () => expect( json.presets, 'array').forEach( ( item, i) =>
+				at( `/${ i}`, () => presentation.addPreset( this.readPreset( presentation, item)))));
+		at( '/subjects', () => expect( json.subjects, 'array').forEach( ( item, i) =>
+				at( `/${ i}`, () => presentation.addSubject( this.readSubject( presentation, item)))));
+		at( '/transitions', () => expect( json.transitions, 'array').forEach( ( item, i) =>
+				at( `/${ i}`, () => presentation.addTransition( this.readTransition( presentation, item)))));
+		return presentation;
+	}
+
+	// a preset, not added to the presentation, inheriting from presets in the presentation
+	readPreset( presentation, item) {
+		expect( item, 'object');
+		const type = this.#config.getSubjectType( item.type);
+		const defaultPreset = [ presentation.defaultViewPreset, presentation.defaultEntityPreset, presentation.defaultTransitionPreset]
+				.find( preset => type !== undefined && preset.constructor === type);
+		if( defaultPreset === undefined)
+			throw new Error( `not a preset type: ${ item.type}`);
+		const preset = new type( defaultPreset.propertySpace, at( '/inherits', () => this.readInherits( presentation, type, item.inherits)),
+				item.id);
+		at( '/properties', () => this.readValues( preset, item.properties));
+		return preset;
+	}
+
+	readSubject( presentation, item) {
+		expect( item, 'object');
+		const type = this.#config.getSubjectType( item.type);
+		const presetType = type === undefined? undefined
+				: type.prototype instanceof View? ViewPreset
+				: type.prototype instanceof Entity? EntityPreset
+				: undefined;
+		if( presetType === undefined)
+			throw new Error( `not a subject type: ${ item.type}`);
+		const subject = new type( at( '/inherits', () => this.readInherits( presentation, presetType, item.inherits)), item.id);
+		at( '/properties', () => this.readValues( subject, item.properties));
+		return subject;
+	}
+
+	// the target is read as an index in the subjects of the presentation
+	readTransition( presentation, item) {
+		expect( item, 'object');
+		const type = this.#config.getTransitionType( item.type);
+		if( type === undefined)
+			throw new Error( `unknown transition type: ${ item.type}`);
+		const target = at( '/target', () => {
+			const subject = presentation.subjects()[ item.target];
+			if( !Number.isInteger( item.target) || subject === undefined)
+				throw new Error( `not a subject index: ${ item.target}`);
+			return subject;
+		});
+		const transition = new type( at( '/inherits', () => this.readInherits( presentation, TransitionPreset, item.inherits)), target);
+		transition.auto = at( '/auto', () => expect( item.auto, 'boolean'));
+		at( '/properties', () => this.readValues( transition, item.properties));
+		at( '/parameters', () => {
+			for( const [ name, value] of Object.entries( expect( item.parameters, 'object')))
+				at( '/' + escapePointer( name), () => {
+					const parameterType = transition.getParameterType( name);
+					if( parameterType === undefined)
+						throw new Error( `unsupported parameter: ${ name}`);
+					transition.setParameter( name, decodeValue( parameterType, value));
+				});
+		});
+		return transition;
+	}
+
+	// the presets of the ids given, of a preset type, the default preset of the type if no id is given
+	readInherits( presentation, presetType, ids) {
+		const presets = expect( ids, 'array').map( ( id, i) => at( `/${ i}`, () => {
+			const preset = presentation.get( id);
+			if( preset === undefined)
+				throw new Error( `id undefined: ${ id}`);
+			if( !( preset instanceof presetType))
+				throw new Error( `${ presetType.name} expected, found: ${ preset.constructor.name}`);
+			return preset;
+		}));
+		if( presets.length)
+			return presets;
+		return [ presentation.defaultViewPreset, presentation.defaultEntityPreset, presentation.defaultTransitionPreset]
+				.filter( preset => preset instanceof presetType);
+	}
+
+	// sets the values on an object, those not given left as they are
+	readValues( object, values) {
+		for( const [ name, value] of Object.entries( expect( values, 'object')))
+			at( '/' + escapePointer( name), () => {
+				const type = object.propertySpace.getType( name);
+				if( type === undefined)
+					throw new Error( `property name undefined: ${ name}`);
+				object.set( name, decodeValue( type, value));
+			});
+	}
+}
+
+export function encodeValue( propertyType, value) {
+	if( propertyType === COLOR_TYPE)
+		return value.toString();
+	if( propertyType instanceof TupleType)
+		return propertyType.elementTypes.map( ( elementType, i) => encodeValue( elementType, value[ i]));
+	if( propertyType instanceof ListType)
+		return value.map( element => encodeValue( propertyType.elementType, element));
+	if( propertyType instanceof DictionaryType)
+		return value.map( ( [ name, element]) => [ name, encodeValue( propertyType.valueType, element)]);
+	return value;
+}
+
+// values are validated when set, this only turns back those JSON has no counterparts of
+export function decodeValue( propertyType, value) {
+	if( propertyType === COLOR_TYPE)
+		return Color.of( expect( value, 'string'));
+	if( propertyType instanceof TupleType) {
+		const elementTypes = propertyType.elementTypes;
+		if( !Array.isArray( value) || value.length !== elementTypes.length)
+			throw new Error( `not a ${ propertyType.name} tuple: ${ JSON.stringify( value)}`);
+		return elementTypes.map( ( elementType, i) => decodeValue( elementType, value[ i]));
+	}
+	if( propertyType instanceof ListType)
+		return expect( value, 'array').map( element => decodeValue( propertyType.elementType, element));
+	if( propertyType instanceof DictionaryType)
+		return expect( value, 'array').map( element => {
+			if( !Array.isArray( element) || element.length !== 2)
+				throw new Error( `not a dictionary entry: ${ JSON.stringify( element)}`);
+			return [ element[ 0], decodeValue( propertyType.valueType, element[ 1])];
+		});
+	return value;
+}
+
+function expect( value, kind) {
+	const matches = kind === 'array'? Array.isArray( value)
+			: kind === 'object'? typeof value === 'object' && value !== null && !Array.isArray( value)
+			: typeof value === kind;
+	if( !matches)
+		throw new Error( `${ kind} expected: ${ JSON.stringify( value)}`);
+	return value;
+}
+
+// runs an action, prefixing the messages of the errors it throws with a JSON pointer, relative to that of the caller
+function at( path, action) {
+	try {
+		return action();
+	} catch( error) {
+		const cause = error[ POINTER] === undefined? error: error.cause;
+		const pointer = path + ( error[ POINTER] || '');
+		const wrapped = new Error( `${ pointer}: ${ cause.message}`, { cause});
+		wrapped[ POINTER] = pointer;
+		throw wrapped;
+	}
+}
+
+function escapePointer( name) {
+	return name.replaceAll( '~', '~0').replaceAll( '/', '~1');
+}
@@ -0,0 +1,375 @@
+import { fileURLToPath, pathToFileURL} from 'node:url';
+import { Codec} from './codec.js';
+import { TransitionPreset, Transition} from './model.js';
+
+// numbers defined by the Language Server Protocol
+const TEXT_DOCUMENT_SYNC_INCREMENTAL = 2;
+const DIAGNOSTIC_SEVERITY = Object.freeze( { error: 1, warning: 2});
+const COMPLETION_ITEM_KIND = Object.freeze( { function: 3, property: 10, class: 7, reference: 18});
+const METHOD_NOT_FOUND = -32601;
+const PARSE_ERROR = -32700;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * A Language Server Protocol server for scripts, independent of the transport: messages are given to handle(), and
+ * those to the client are passed to the send function. See runLanguageServer() for the transport over streams.
+ *
+ * Documents are parsed with Codec.diagnose() when opened, or Codec.diagnoseFile() for file URIs so that their imports
+ * are loaded, and with Codec.reparse() when changed, unless the imports have to be loaded again. Completion, hover, and
+ * go-to-definition use the presentation parsed last, and its source map.
+ */
+export class LanguageServer {
+
+	#codec;
+	#send;
+	#documents = new Map(); // Map< string, { lines, presentation, parsed}>, by URI, parsed being what the codec returned
+	#shutdown = false;
+	#exitCode = undefined;
+
+	constructor( send, codec = new Codec()) {
+		this.#send = send;
+		this.#codec = codec;
+	}
+
+	// undefined until the client asks to exit
+	get exitCode() {
+		return this.#exitCode;
+	}
+
+	async handle( message) {
+		if( message.method === undefined)
+			return; // a response, never expected since no request is sent to the client
+		try {
+			const result = await this.#dispatch( message.method, message.params || {});
+			if( message.id !== undefined)
+				this.#send( { jsonrpc: '2.0', id: message.id, result: result === undefined? null: result});
+		} catch( error) {
+			if( message.id !== undefined)
+				this.#send( { jsonrpc: '2.0', id: message.id, error: {
+					code: error instanceof MethodNotFound? METHOD_NOT_FOUND: INTERNAL_ERROR,
+					message: error.message,
+				}});
+			else if( !( error instanceof MethodNotFound))
+				this.#notify( 'window/logMessage', { type: 1, message: error.stack || error.message});
+		}
+	}
+
+	async #dispatch( method, params) {
+		switch( method) {
+			case 'initialize':
+				return {
+					capabilities: {
+						textDocumentSync: TEXT_DOCUMENT_SYNC_INCREMENTAL,
+						completionProvider: { triggerCharacters: [ '[', ':']},
+						hoverProvider: true,
+						definitionProvider: true,
+					},
+					serverInfo: { name: 'keyframe'},
+				};
+			case 'initialized':
+				return;
+			case 'shutdown':
+				this.#shutdown = true;
+				return;
+			case 'exit':
+				this.#exitCode = this.#shutdown? 0: 1;
+				return;
+			case 'textDocument/didOpen':
+				return this.#update( params.textDocument.uri, params.textDocument.text);
+			case 'textDocument/didChange':
+				return this.#change( params.textDocument.uri, params.contentChanges);
+			case 'textDocument/didClose':
+				this.#documents.delete( params.textDocument.uri);
+				this.#notify( 'textDocument/publishDiagnostics', { uri: params.textDocument.uri, diagnostics: []});
+				return;
+			case 'textDocument/completion':
+				return this.#complete( this.#document( params.textDocument.uri), params.position);
+			case 'textDocument/hover':
+				return this.#hover( this.#document( params.textDocument.uri), params.position);
+			case 'textDocument/definition':
+				return this.#define( params.textDocument.uri, this.#document( params.textDocument.uri), params.position);
+			default:
+				if( method.startsWith( '$/'))
+					return; // optional notifications and requests
+				throw new MethodNotFound( method);
+		}
+	}
+
+	#notify( method, params) {
+		this.#send( { jsonrpc: '2.0', method, params});
+	}
+
+	#document( uri) {
+		const document = this.#documents.get( uri);
+		if( document === undefined)
+			throw new Error( `document not open: ${ uri}`);
+		return document;
+	}
+
+	async #update( uri, text) {
+		this.#publish( uri, uri.startsWith( 'file:')
+				? await this.#codec.diagnoseFile( fileURLToPath( uri), text)
+				: this.#codec.diagnose( text, uri));
+	}
+
+	// changes with ranges are parsed incrementally, others replace the whole text, which is parsed in whole as well if
+	// parsing incrementally fails, so that the text always follows the client
+	async #change( uri, changes) {
+		const document = this.#document( uri);
+		let script = document.script;
+		let parsed = document.parsed; // undefined once the text and the parse differ
+		for( const { range, text} of changes) {
+			const edit = range === undefined? undefined: { ...range, text};
+			if( parsed !== undefined && edit !== undefined)
+				try {
+					parsed = this.#codec.reparse( parsed, edit);
+				} catch( error) {
+					this.#notify( 'window/logMessage', { type: 1, message: error.stack || error.message});
+					parsed = undefined;
+				}
+			else
+				parsed = undefined;
+			script = edit === undefined? text: applyEdit( script, edit);
+		}
+		if( parsed === undefined) {
+			this.#documents.set( uri, { ...document, script, parsed: undefined}); // still following if parsing throws
+			parsed = this.#codec.diagnose( script, uri);
+		}
+		if( uri.startsWith( 'file:') && parsed.diagnostics.some( diagnostic => diagnostic.code === 'import-unsupported'))
+			return this.#update( uri, parsed.script); // imports edited
+		this.#publish( uri, parsed);
+	}
+
+	#publish( uri, parsed) {
+		const { script, presentation, diagnostics} = parsed;
+		this.#documents.set( uri, { script, lines: script.split( '\n'), presentation, parsed});
+		this.#notify( 'textDocument/publishDiagnostics', {
+			uri,
+			diagnostics: diagnostics.map( diagnostic => ( {
+				range: {
+					start: { line: diagnostic.lineIndex, character: diagnostic.columnIndex},
+					end: { line: diagnostic.lineIndex, character: diagnostic.endColumnIndex},
+				},
+				severity: DIAGNOSTIC_SEVERITY[ diagnostic.severity],
+				code: diagnostic.code,
+				source: 'keyframe',
+				message: diagnostic.problem,
+			})),
+		});
+	}
+
+	#complete( document, { line, character}) {
+		const { lines, presentation} = document;
+		if( !inRange( lines, { line, character}))
+			return [];
+		const prefix = lines[ line].substring( 0, character);
+		if( prefix.startsWith( '\t')) {
+			if( !/^\t+[0-9a-z.-]*$/.test( prefix))
+				return [];
+			const { target, transition} = this.#block( document, line);
+			const names = new Map(); // Map< string, PropertyType>
+			for( const object of [ target, transition])
+				if( object)
+					for( const [ name, type] of object.propertySpace)
+						names.set( name, type);
+			if( transition)
+				for( const name of transition.parameterNames())
+					names.set( name, transition.getParameterType( name));
+			return [ ...names].map( ( [ name, type]) => ( {
+				label: aliasOf( presentation, name),
+				kind: COMPLETION_ITEM_KIND.property,
+				detail: type.name,
+			}));
+		}
+		if( /\[[^\]]*$/.test( prefix))
+			return presetIds( presentation).map( ( [ id, preset]) => ( {
+				label: id,
+				kind: COMPLETION_ITEM_KIND.reference,
+				detail: preset.constructor.name,
+			}));
+		if( /^(?:[a-z][0-9a-z-]*:)?[A-Za-z0-9.]*$/.test( prefix))
+			return [
+				...this.#codec.subjectTypeNames().map( name => ( {
+					label: aliasOf( presentation, name),
+					kind: COMPLETION_ITEM_KIND.class,
+				})),
+				...prefix.includes( ':')? []: presentation.subjects()
+						.filter( subject => subject.name !== undefined)
+						.map( subject => ( {
+							label: subject.name,
+							kind: COMPLETION_ITEM_KIND.reference,
+							detail: subject.constructor.name,
+						})),
+			];
+		if( /^(?:(?:[a-z][0-9a-z-]*:)?[A-Z][0-9A-Za-z.]*(?:\[[^\]]*\])?|[a-z][0-9a-z-]*) +[0-9a-z.-]*$/.test( prefix))
+			return this.#codec.transitionTypeNames().map( name => ( {
+				label: aliasOf( presentation, name),
+				kind: COMPLETION_ITEM_KIND.function,
+			}));
+		return [];
+	}
+
+	#hover( document, { line, character}) {
+		const { lines, presentation} = document;
+		if( !inRange( lines, { line, character}))
+			return null;
+		const match = /^(\t+)([0-9a-z.-]+) *(:=|=|@)/.exec( lines[ line]);
+		if( !match || character < match[ 1].length || character > match[ 1].length + match[ 2].length)
+			return null;
+		const { target, transition} = this.#block( document, line);
+		const name = presentation.getAlias( match[ 2]) || match[ 2];
+		const object = match[ 3] === ':='? target: transition;
+		if( object === undefined)
+			return null;
+		const range = {
+			start: { line, character: match[ 1].length},
+			end: { line, character: match[ 1].length + match[ 2].length},
+		};
+		if( match[ 3] === '=') {
+			const type = object.getParameterType( name);
+			if( type === undefined)
+				return null;
+			const value = object.getParameter( name);
+			return { range, contents: { kind: 'markdown', value: [
+				`**${ name}**: ${ type.name}`,
+				value === undefined? 'not set'
+						: `\`${ this.#codec.stringifyValue( type, value, presentation.sourceMap.unitOfParameter( object, name))}\``,
+			].join( '\n\n')}};
+		}
+		const type = object.propertySpace.getType( name);
+		if( type === undefined)
+			return null;
+		const value = object.get( name);
+		const origin = object.origin( name);
+		const unit = value === undefined? undefined: presentation.sourceMap.unitOf( origin, name);
+		return { range, contents: { kind: 'markdown', value: [
+			`**${ name}**: ${ type.name}`,
+			value === undefined? 'not set'
+					: origin === object? `\`${ this.#codec.stringifyValue( type, value, unit)}\``
+					: `\`${ this.#codec.stringifyValue( type, value, unit)}\`, inherited from ${ origin.name || origin.constructor.name}`,
+		].join( '\n\n')}};
+	}
+
+	#define( uri, { lines, presentation}, { line, character}) {
+		if( !inRange( lines, { line, character}))
+			return null;
+		const lineText = lines[ line];
+		if( lineText.startsWith( '\t'))
+			return null;
+		let start = character;
+		while( start > 0 && /[0-9a-z.-]/.test( lineText[ start - 1]))
+			start--;
+		const id = /^[0-9a-z.-]*/.exec( lineText.substring( start))[ 0];
+		const span = /^[a-z]/.test( id) && presentation.get( id) !== undefined? presentation.spanOf( presentation.get( id)): undefined;
+		if( span === undefined)
+			return null;
+		return {
+			uri: uri.startsWith( 'file:')? pathToFileURL( span.source).href: span.source, // the source is the URI otherwise
+			range: {
+				start: { line: span.lineIndex, character: span.columnIndex},
+				end: { line: span.lineIndex, character: span.endColumnIndex},
+			},
+		};
+	}
+
+	// the objects the properties in the block under a line are set on, the transition preset as the transition
+	#block( { lines, presentation}, lineIndex) {
+		let headerIndex = lineIndex;
+		while( headerIndex >= 0 && !/^[^\t#\s]/.test( lines[ headerIndex]))
+			headerIndex--;
+		const block = {};
+		for( const { object, property, parameter} of presentation.sourceMap.at( headerIndex))
+			if( property === undefined && parameter === undefined)
+				if( object instanceof Transition || object instanceof TransitionPreset)
+					block.transition = object;
+				else
+					block.target = object;
+		return block;
+	}
+}
+
+class MethodNotFound extends Error {
+
+	constructor( method) {
+		super( `method not found: ${ method}`);
+	}
+}
+
+/**
+ * Runs a language server on a pair of streams, standard input and output usually, with messages framed by
+ * Content-Length headers. Resolves to the exit code when the client asks to exit, or the input ends.
+ */
+export function runLanguageServer( input, output, codec = new Codec()) {
+	const server = new LanguageServer( message => output.write( frame( message)), codec);
+	return new Promise( resolve => {
+		let buffer = Buffer.alloc( 0);
+		let queue = Promise.resolve(); // messages are handled one at a time, in order
+		const end = () => {
+			input.off( 'data', read);
+			input.off( 'end', end);
+			queue.then( () => resolve( server.exitCode === undefined? 1: server.exitCode));
+		};
+		const read = chunk => {
+			buffer = Buffer.concat( [ buffer, chunk]);
+			for( let headerEnd; ( headerEnd = buffer.indexOf( '\r\n\r\n')) >= 0;) {
+				const match = /^content-length: *([0-9]+) *$/im.exec( buffer.toString( 'ascii', 0, headerEnd));
+				const start = headerEnd + 4;
+				const length = match? Number.parseInt( match[ 1]): 0;
+				if( buffer.length < start + length)
+					break;
+				const body = buffer.toString( 'utf-8', start, start + length);
+				buffer = buffer.subarray( start + length);
+				queue = queue.then( async() => {
+					let message;
+					try {
+						message = JSON.parse( body);
+					} catch( error) {
+						output.write( frame( { jsonrpc: '2.0', id: null, error: { code: PARSE_ERROR, message: error.message}}));
+						return;
+					}
+					await server.handle( message);
+					if( server.exitCode !== undefined)
+						end();
+				});
+			}
+		};
+		input.on( 'data', read);
+		input.on( 'end', end);
+	});
+}
+
+function frame( message) {
+	const body = Buffer.from( JSON.stringify( message), 'utf-8');
+	return Buffer.concat( [ Buffer.from( `Content-Length: ${ body.length}\r\n\r\n`, 'ascii'), body]);
+}
+
+// the alias of a qualified name if there is one, for suggesting names as they would be written
+function aliasOf( presentation, name) {
+	const aliases = [ ...presentation.aliases(), ...presentation.imports().flatMap( imported => imported.aliases())];
+	for( const [ alias, aliasedName] of aliases)
+		if( aliasedName === name)
+			return alias;
+	return name;
+}
+
+// [ [ string, Preset]], imported ones included
+function presetIds( presentation) {
+	return [
+		...presentation.presets().map( preset => [ preset.name, preset]),
+		...presentation.imports().flatMap( imported => imported.presets()),
+	];
+}
+
+// whether a position is in a document, which requests sent before the latest changes may not be
+function inRange( lines, { line, character}) {
+	return Number.isInteger( line) && line >= 0 && line < lines.length
+			&& Number.isInteger( character) && character >= 0 && character <= lines[ line].length;
+}
+
+// the text with an edit applied, positions past the ends of lines and of the text being at those ends as in LSP
+function applyEdit( script, { start, end, text}) {
+	const lines = script.split( '\n');
+	const offsetOf = ( { line, character}) => line >= lines.length? script.length
+			: lines.slice( 0, line).reduce( ( offset, lineText) => offset + lineText.length + 1, Math.min( character, lines[ line].length));
+	return script.substring( 0, offsetOf( start)) + text + script.substring( offsetOf( end));
+}
@@ -0,0 +1,125 @@
+import { Codec} from './codec.js';
+import { View, Entity} from './model.js';
+
+// the projections the properties are effective in, see BUILT_IN_VIEW_PROPERTIES
+const EFFECTIVE_PROJECTIONS = Object.freeze( {
+	width: 'orthographic',
+	height: 'orthographic',
+	'h-fov': 'perspective',
+	'v-fov': 'perspective',
+});
+
+// checks by rule names, returning { object, name, span, problem, fix: [ description, 'line' or 'block']} findings, spans
+// of the objects, or their properties if names are given, looked up in the source map unless given
+const RULES = Object.freeze( {
+	'unused-preset': presentation => {
+		const used = new Set( [ ...presentation.presets(), ...presentation.subjects(), ...presentation.transitions()]
+				.flatMap( object => object.inherited));
+		return presentation.presets().filter( preset => !used.has( preset)).map( preset => ( {
+			object: preset,
+			problem: `preset never used: ${ preset.name}`,
+			fix: [ 'remove the preset', 'block'],
+		}));
+	},
+	'ineffective-property': presentation => presentation.subjects()
+			.filter( view => view instanceof View && view.propertySpace.getType( 'projection') !== undefined)
+			.filter( view => !presentation.transitions().some( transition => transition.target === view
+					&& transition.parameterNames().includes( 'projection') && transition.getParameter( 'projection') !== undefined))
+			.flatMap( view => Object.entries( EFFECTIVE_PROJECTIONS)
+					.filter( ( [ name, projection]) => view.getLocal( name) !== undefined
+							&& projection !== ( view.get( 'projection') || 'orthographic'))
+					.map( ( [ name, projection]) => ( {
+						object: view,
+						name,
+						problem: `${ name} is effective only if projection is ${ projection}`,
+						fix: [ `remove ${ name}`, 'line'],
+					}))),
+	'redundant-property': ( presentation, codec) => [ ...presentation.presets(), ...presentation.subjects(),
+			...presentation.transitions()]
+			.flatMap( object => [ ...object.propertySpace]
+					.filter( ( [ name, type]) => {
+						const [ local, inherited] = [ object.getLocal( name), object.getInherited( name)];
+						return local !== undefined && inherited !== undefined
+								&& codec.stringifyValue( type, local) === codec.stringifyValue( type, inherited);
+					})
+					.map( ( [ name]) => ( {
+						object,
+						name,
+						problem: `${ name} set to the value the presets give`,
+						fix: [ `remove ${ name}`, 'line'],
+					}))),
+	'unreachable-entity': presentation => presentation.subjects()
+			.filter( subject => subject instanceof Entity
+					&& !presentation.transitions().some( transition => transition.target === subject))
+			.map( entity => ( {
+				object: entity,
+				problem: `no transition, never appears: ${ entity.name || entity.constructor.name}`,
+				fix: [ 'remove the entity', 'block'],
+			})),
+	'unused-alias': ( presentation, codec, lines) => presentation.aliases().flatMap( ( [ alias]) => {
+		const definition = new RegExp( `^${ escape( alias)} *:=`);
+		const mention = new RegExp( `(?<![0-9A-Za-z.-])${ escape( alias)}(?![0-9A-Za-z-])`);
+		const lineIndex = lines.findIndex( line => definition.test( line));
+		if( lineIndex < 0 || lines.some( ( line, i) => i !== lineIndex && !/^\t*#/.test( line) && mention.test( line)))
+			return [];
+		return [ {
+			span: { lineIndex, columnIndex: 0, endColumnIndex: alias.length},
+			problem: `alias never used: ${ alias}`,
+			fix: [ 'remove the alias', 'line'],
+		}];
+	}),
+});
+
+export const LINT_RULES = Object.freeze( Object.keys( RULES));
+
+/**
+ * Checks a presentation for what has no effect, given the result of Codec.diagnose(), diagnoseFile(), or reparse().
+ * Rules are those of LINT_RULES, each to report 'warning's by default, or 'error's, or to be 'off' as configured by rule
+ * names. Returns the findings sorted by their locations, in the same form as diagnostics, with the rule name as the code
+ * and a fix in { description, edit}, the edit being one Codec.reparse() takes, which removes a line or a block.
+ */
+export function lint( { script, source, presentation}, rules = {}, codec = new Codec()) {
+	for( const [ rule, severity] of Object.entries( rules)) {
+		if( !LINT_RULES.includes( rule))
+			throw new Error( `unknown lint rule: ${ rule}`);
+		if( ![ 'error', 'warning', 'off'].includes( severity))
+			throw new Error( `illegal severity of ${ rule}: ${ severity}`);
+	}
+	const lines = script.split( '\n', -1);
+	const findings = [];
+	for( const [ rule, check] of Object.entries( RULES)) {
+		const severity = rules[ rule] || 'warning';
+		if( severity === 'off')
+			continue;
+		for( const { object, name, span = presentation.sourceMap.spanOf( object, name), problem, fix: [ description, extent]}
+				of check( presentation, codec, lines))
+			if( span !== undefined) // not parsed from the script
+				findings.push( Object.freeze( {
+					source,
+					severity,
+					code: rule,
+					lineIndex: span.lineIndex,
+					columnIndex: span.columnIndex,
+					endColumnIndex: span.endColumnIndex,
+					problem,
+					fix: Object.freeze( {
+						description,
+						edit: removal( lines, span.lineIndex, extent === 'line'? span.lineIndex + 1
+								: presentation.sourceMap.blockSpanOf( object).endLineIndex),
+					}),
+				}));
+	}
+	return findings.sort( ( a, b) => a.lineIndex - b.lineIndex || a.columnIndex - b.columnIndex);
+}
+
+// an edit removing the lines from the start to the end, exclusive
+function removal( lines, start, end) {
+	if( end < lines.length) // up to the start of the next line
+		return Object.freeze( { start: { line: start, character: 0}, end: { line: end, character: 0}, text: ''});
+	const from = start > 0? { line: start - 1, character: lines[ start - 1].length}: { line: 0, character: 0}; // the line break
+	return Object.freeze( { start: from, end: { line: end - 1, character: lines[ end - 1].length}, text: ''});
+}
+
+function escape( string) {
+	return string.replace( /[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -1,49 +1,212 @@
 const PRIV = Symbol();
 
-const COLOR = /^#[0-9A-Fa-f]{3}(?:[0-9A-Fa-f]{3})?$/;
+const HEX_COLOR = /^#(?:[0-9A-Fa-f]{3,4}|[0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$/;
+const FUNCTIONAL_COLOR = /^(rgba?|hsla?|oklch)\( *([^()]*?) *\)$/;
+const COLOR_ARGUMENT = /^([+-]?(?:[0-9]+(?:\.[0-9]*)?|\.[0-9]+))(%|deg)?$/;
+const NAMED_COLORS = new Map( ( ''
+		+ 'aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc bisque:ffe4c4 '
+		+ 'black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a burlywood:deb887 '
+		+ 'cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50 cornflowerblue:6495ed cornsilk:fff8dc '
+		+ 'crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b darkgoldenrod:b8860b darkgray:a9a9a9 '
+		+ 'darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b darkmagenta:8b008b darkolivegreen:556b2f '
+		+ 'darkorange:ff8c00 darkorchid:9932cc darkred:8b0000 darksalmon:e9967a darkseagreen:8fbc8f '
+		+ 'darkslateblue:483d8b darkslategray:2f4f4f darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 '
+		+ 'deeppink:ff1493 deepskyblue:00bfff dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 '
+		+ 'floralwhite:fffaf0 forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700 '
+		+ 'goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0 hotpink:ff69b4 '
+		+ 'indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa lavenderblush:fff0f5 '
+		+ 'lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080 lightcyan:e0ffff '
+		+ 'lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3 lightpink:ffb6c1 '
+		+ 'lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa lightslategray:778899 lightslategrey:778899 '
+		+ 'lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00 limegreen:32cd32 linen:faf0e6 magenta:ff00ff '
+		+ 'maroon:800000 mediumaquamarine:66cdaa mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db '
+		+ 'mediumseagreen:3cb371 mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc '
+		+ 'mediumvioletred:c71585 midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 '
+		+ 'navajowhite:ffdead navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 '
+		+ 'orangered:ff4500 orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee '
+		+ 'palevioletred:db7093 papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd '
+		+ 'powderblue:b0e0e6 purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1 '
+		+ 'saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee sienna:a0522d '
+		+ 'silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090 snow:fffafa '
+		+ 'springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8 tomato:ff6347 '
+		+ 'transparent:00000000 turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5 '
+		+ 'yellow:ffff00 yellowgreen:9acd32'
+		).split( ' ').map( entry => entry.split( ':')).map( ( [ name, hex]) => [ name, `#${ hex}`]));
+
+// color spaces Color.mix() interpolates in, converting sRGB channels within [0, 1] to their coordinates and back
+const COLOR_SPACES = Object.freeze( {
+	srgb: { from: rgb => rgb, to: rgb => rgb},
+	linear: { from: rgb => rgb.map( toLinear), to: rgb => rgb.map( fromLinear)},
+	oklab: { from: rgb => linearToOklab( rgb.map( toLinear)), to: lab => oklabToLinear( lab).map( fromLinear)},
+});
 
+/**
+ * An sRGB color with alpha, 8 bits per channel. Color.of() takes CSS notations: #rgb, #rgba, #rrggbb, #rrggbbaa, named
+ * colors, and rgb(), hsl(), and oklch() with space or comma separated arguments; colors out of the sRGB gamut, as oklch()
+ * ones may be, are clipped.
+ */
 export class Color {
 
+	/**
+	 * Interpolates from one color to another with premultiplied alpha, in a color space: srgb, as CSS transitions do,
+	 * linear for linear RGB, blending light physically, or oklab, perceptually even.
+	 */
+	static mix( from, to, ratio, space = 'srgb') {
+		if( !( from instanceof Color) || !( to instanceof Color))
+			throw new Error( `colors expected: ${ from}, ${ to}`);
+		const colorSpace = COLOR_SPACES[ space];
+		if( colorSpace === undefined)
+			throw new Error( `unknown color space: ${ space}`);
+		const fromAlpha = from.alpha;
+		const toAlpha = to.alpha;
+		const alpha = fromAlpha + ( toAlpha - fromAlpha) * ratio;
+		const toCoordinates = colorSpace.from( to.#channels());
+		const coordinates = colorSpace.from( from.#channels()).map( ( coordinate, i) => alpha > 0
+				? ( coordinate * fromAlpha + ( toCoordinates[ i] * toAlpha - coordinate * fromAlpha) * ratio) / alpha
+				: coordinate + ( toCoordinates[ i] - coordinate) * ratio);
+		return Color.#clip( ...colorSpace.to( coordinates), alpha);
+	}
+
 	static of( string) {
-		if( !COLOR.test( string))
+		if( typeof string !== 'string')
+			throw new Error( `illegal color code: ${ string}`);
+		const named = NAMED_COLORS.get( string.toLowerCase());
+		if( named !== undefined)
+			return Color.of( named);
+		if( HEX_COLOR.test( string)) {
+			const digits = string.length < 6? string.substring( 1).replace( /./g, '$&$&'): string.substring( 1);
+			const [ red, green, blue, alpha = 0xFF] = digits.match( /../g).map( hex => Number.parseInt( hex, 16));
+			return new Color( PRIV, red, green, blue, alpha);
+		}
+		const functional = FUNCTIONAL_COLOR.exec( string);
+		if( functional === null)
 			throw new Error( `illegal color code: ${ string}`);
-		switch( string.length) {
-			case 7: return new Color( PRIV,
-					Number.parseInt( string.substring( 1, 3), 16),
-					Number.parseInt( string.substring( 3, 5), 16),
-					Number.parseInt( string.substring( 5, 7), 16));
-			case 4: return new Color( PRIV,
-					Number.parseInt( string.substring( 1, 2), 16) * 0x11,
-					Number.parseInt( string.substring( 2, 3), 16) * 0x11,
-					Number.parseInt( string.substring( 3, 4), 16) * 0x11);
-			default:
-				throw new Error( 'bug');
+		const [ , name, text] = functional;
+		const [ channels, alphaText, ...rest] = text.includes( ',')
+				? ( list => [ list.slice( 0, 3), ...list.slice( 3)])( text.split( / *, */))
+				: ( ( [ channelText, ...alphaTexts]) => [ channelText.split( / +/), ...alphaTexts])( text.split( / *\/ */));
+		if( channels.length !== 3 || rest.length)
+			throw new Error( `three arguments and an optional alpha expected: ${ string}`);
+		const argument = ( text, units, min, max, percent) => {
+			const match = COLOR_ARGUMENT.exec( text);
+			if( match === null || !units.includes( match[ 2]))
+				throw new Error( `illegal argument ${ text}: ${ string}`);
+			const value = Number.parseFloat( match[ 1]) * ( match[ 2] === '%'? percent / 100: 1);
+			if( !( value >= min && value <= max))
+				throw new Error( `argument out of range ${ text}: ${ string}`);
+			return value;
+		};
+		const alpha = alphaText === undefined? 1: argument( alphaText, [ undefined, '%'], 0, 1, 1);
+		switch( name.substring( 0, 3)) {
+			case 'rgb':
+				return Color.#clip( ...channels.map( text => argument( text, [ undefined, '%'], 0, 255, 255) / 255), alpha);
+			case 'hsl':
+				return Color.#clip( ...hslToRgb(
+						argument( channels[ 0], [ undefined, 'deg'], -Infinity, Infinity),
+						argument( channels[ 1], [ undefined, '%'], 0, 100, 100) / 100,
+						argument( channels[ 2], [ undefined, '%'], 0, 100, 100) / 100), alpha);
+			default: { // oklch
+				const lightness = argument( channels[ 0], [ undefined, '%'], 0, 1, 1);
+				const chroma = argument( channels[ 1], [ undefined, '%'], 0, Infinity, 0.4);
+				const hue = argument( channels[ 2], [ undefined, 'deg'], -Infinity, Infinity) * Math.PI / 180;
+				return Color.#clip(
+						...oklabToLinear( [ lightness, chroma * Math.cos( hue), chroma * Math.sin( hue)]).map( fromLinear), alpha);
+			}
 		}
 	}
 
+	// channels and alpha within [0, 1], clipped if not
+	static #clip( red, green, blue, alpha) {
+		const byte = value => Math.round( Math.min( 1, Math.max( 0, value)) * 0xFF);
+		return new Color( PRIV, byte( red), byte( green), byte( blue), byte( alpha));
+	}
+
 	#red;
 	#green;
 	#blue;
+	#alpha;
 
-	constructor( priv, red, green, blue) {
+	constructor( priv, red, green, blue, alpha) {
 		if( priv !== PRIV)
 			throw new Error( `use ${ this.constructor.name}.of() method`);
-		if( !( Number.isInteger( red) && Number.isInteger( green) && Number.isInteger( blue)
-				&& red >= 0x00 && red <= 0xFF && green >= 0x00 && green <= 0xFF && blue >= 0x00 && blue <= 0xFF))
+		if( ![ red, green, blue, alpha].every( channel => Number.isInteger( channel) && channel >= 0x00 && channel <= 0xFF))
 			throw new Error( 'illegal argument');
 		this.#red = red;
 		this.#green = green;
 		this.#blue = blue;
+		this.#alpha = alpha;
+	}
+
+	// 0 to 255
+	get red() {
+		return this.#red;
+	}
+
+	get green() {
+		return this.#green;
+	}
+
+	get blue() {
+		return this.#blue;
+	}
+
+	// 0 (transparent) to 1 (opaque)
+	get alpha() {
+		return this.#alpha / 0xFF;
+	}
+
+	#channels() {
+		return [ this.#red / 0xFF, this.#green / 0xFF, this.#blue / 0xFF];
 	}
 
+	// #rrggbb, or #rrggbbaa unless opaque
 	toString() {
-		return '#'
-				+ this.#red.toString( 16).padStart( 2, '0')
-				+ this.#green.toString( 16).padStart( 2, '0')
-				+ this.#blue.toString( 16).padStart( 2, '0');
+		return '#' + [ this.#red, this.#green, this.#blue, ...this.#alpha === 0xFF? []: [ this.#alpha]]
+				.map( channel => channel.toString( 16).padStart( 2, '0')).join( '');
 	}
 }
 
+function toLinear( channel) {
+	return channel <= 0.04045? channel / 12.92: ( ( channel + 0.055) / 1.055) ** 2.4;
+}
+
+function fromLinear( channel) {
+	return channel <= 0.0031308? channel * 12.92: 1.055 * channel ** ( 1 / 2.4) - 0.055;
+}
+
+// matrices by Björn Ottosson, https://bottosson.github.io/posts/oklab/
+function linearToOklab( [ red, green, blue]) {
+	const l = Math.cbrt( 0.4122214708 * red + 0.5363325363 * green + 0.0514459929 * blue);
+	const m = Math.cbrt( 0.2119034982 * red + 0.6806995451 * green + 0.1073969566 * blue);
+	const s = Math.cbrt( 0.0883024619 * red + 0.2817188376 * green + 0.6299787005 * blue);
+	return [
+		0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+		1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+		0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s,
+	];
+}
+
+function oklabToLinear( [ lightness, a, b]) {
+	const l = ( lightness + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+	const m = ( lightness - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+	const s = ( lightness - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+	return [
+		4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+		-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+		-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s,
+	];
+}
+
+// hue in degrees, saturation and lightness within [0, 1]
+function hslToRgb( hue, saturation, lightness) {
+	const chroma = saturation * Math.min( lightness, 1 - lightness);
+	const channel = n => {
+		const k = ( ( n + hue / 30) % 12 + 12) % 12;
+		return lightness - chroma * Math.max( -1, Math.min( k - 3, 9 - k, 1));
+	};
+	return [ channel( 0), channel( 8), channel( 4)];
+}
+
 /**
  * Property types are closed, all subclasses are defined in this module, if an extension needs new types, try composing
  * one from existing types. It is locked down because other parts of the program, such as the parser and the writer,
@@ -56,6 +219,14 @@ export class PropertyType {
 		if( priv !== PRIV)
 			throw new Error( 'types are closed, you are not supposed to extend it outside the core module');
 	}
+
+	/**
+	 * Returns the value at a point of a transition from one value to another, progress being 0 at the start and 1 at the
+	 * end. Values that cannot change gradually switch at the end.
+	 */
+	interpolate( from, to, progress) {
+		return progress < 1 || to === undefined? from: to;
+	}
 }
 
 export const BOOLEAN_TYPE = new ( class extends PropertyType {
@@ -87,6 +258,12 @@ export const FLOAT_TYPE = new ( class extends PropertyType {
 		throw new Error( `not a finite floating-point number: ${ value}`);
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		return from + ( to - from) * progress;
+	}
+
 	equals( type) {
 		return type === this;
 	}
@@ -104,11 +281,83 @@ export const POSITIVE_FLOAT_TYPE = new ( class extends PropertyType {
 		throw new Error( `not a finite floating-point positive number: ${ value}`);
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		return Math.max( from + ( to - from) * progress, Number.MIN_VALUE); // easing curves may overshoot
+	}
+
+	equals( type) {
+		return type === this;
+	}
+})( PRIV);
+
+// within [0, 1], as the x coordinates of the control points of easing curves
+export const FRACTION_TYPE = new ( class extends PropertyType {
+
+	get name() {
+		return 'fraction';
+	}
+
+	validate( value) {
+		if( typeof value === 'number' && value >= 0 && value <= 1)
+			return value;
+		throw new Error( `not a floating-point number within [0, 1]: ${ value}`);
+	}
+
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		return Math.min( 1, Math.max( 0, from + ( to - from) * progress)); // easing curves may overshoot
+	}
+
 	equals( type) {
 		return type === this;
 	}
 })( PRIV);
 
+// floating-point numbers in a unit, scripts converting other units to it
+class MeasureType extends PropertyType {
+
+	#name;
+	#positive;
+
+	constructor( priv, name, positive) {
+		super( priv);
+		this.#name = name;
+		this.#positive = positive;
+	}
+
+	get name() {
+		return this.#name;
+	}
+
+	validate( value) {
+		if( typeof value === 'number' && Number.isFinite( value) && ( !this.#positive || value > 0))
+			return value;
+		throw new Error( `not a ${ this.#name} value: ${ value}`);
+	}
+
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		const value = from + ( to - from) * progress;
+		return this.#positive? Math.max( value, Number.MIN_VALUE): value;
+	}
+
+	equals( type) {
+		return type === this;
+	}
+}
+
+// in points, 1/72 inches
+export const LENGTH_TYPE = new MeasureType( PRIV, 'length', false);
+export const POSITIVE_LENGTH_TYPE = new MeasureType( PRIV, 'positive-length', true);
+
+// in degrees
+export const ANGLE_TYPE = new MeasureType( PRIV, 'angle', false);
+export const POSITIVE_ANGLE_TYPE = new MeasureType( PRIV, 'positive-angle', true);
+
 export const DURATION_TYPE = new ( class extends PropertyType {
 
 	get name() {
@@ -155,6 +404,12 @@ export const COLOR_TYPE = new ( class extends PropertyType {
 		throw new Error( `not a color: ${ value}`);
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		return Color.mix( from, to, progress);
+	}
+
 	equals( type) {
 		return type === this;
 	}
@@ -221,6 +476,10 @@ export class TupleType extends PropertyType {
 		return `(${ this.#elementTypes.map( t => t.name).join( ',')})`;
 	}
 
+	get elementTypes() {
+		return [ ...this.#elementTypes];
+	}
+
 	validate( value) {
 		if( !Array.isArray( value) || value.length !== this.#elementTypes.length)
 			throw new Error( `not a ${ this.name} tuple: ${ value}`);
@@ -229,6 +488,12 @@ export class TupleType extends PropertyType {
 		return value;
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined)
+			return super.interpolate( from, to, progress);
+		return this.#elementTypes.map( ( elementType, i) => elementType.interpolate( from[ i], to[ i], progress));
+	}
+
 	equals( type) {
 		if( !( type instanceof TupleType) || type.#elementTypes.length !== this.#elementTypes.length)
 			return false;
@@ -258,6 +523,10 @@ export class ListType extends PropertyType {
 		return `List<${ this.#elementType.name}>`;
 	}
 
+	get elementType() {
+		return this.#elementType;
+	}
+
 	validate( value) {
 		if( !Array.isArray( value))
 			throw new Error( `not a list: ${ value}`);
@@ -266,6 +535,12 @@ export class ListType extends PropertyType {
 		return value;
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined || from.length !== to.length)
+			return super.interpolate( from, to, progress);
+		return from.map( ( element, i) => this.#elementType.interpolate( element, to[ i], progress));
+	}
+
 	equals( type) {
 		return type instanceof ListType && type.#elementType.equals( this.#elementType);
 	}
@@ -290,6 +565,10 @@ export class DictionaryType extends PropertyType {
 		return `Dict<${ this.#valueType.name}>`;
 	}
 
+	get valueType() {
+		return this.#valueType;
+	}
+
 	validate( value) {
 		if( !Array.isArray( value))
 			throw new Error( `not a dictionary: ${ value}`);
@@ -304,6 +583,13 @@ export class DictionaryType extends PropertyType {
 		return value;
 	}
 
+	interpolate( from, to, progress) {
+		if( from === undefined || to === undefined || from.length !== to.length
+				|| from.some( ( [ name], i) => name !== to[ i][ 0]))
+			return super.interpolate( from, to, progress);
+		return from.map( ( [ name, value], i) => [ name, this.#valueType.interpolate( value, to[ i][ 1], progress)]);
+	}
+
 	equals( type) {
 		return type instanceof DictionaryType && type.#valueType.equals( this.#valueType);
 	}
@@ -369,6 +655,65 @@ export class PropertySpace {
 	}
 }
 
+const listeners = new WeakMap(); // WeakMap< SparseObject, Set< function>>
+const subscribedInheritors = new WeakMap(); // WeakMap< SparseObject, Set< SparseObject>>, itself included if subscribed
+let pendingChanges = undefined; // Map< SparseObject, Map< string, any>>, values before the transaction, in a transaction
+
+/**
+ * Runs an action as a transaction: the changes it makes to the properties of objects are told to the listeners once it
+ * returns or throws, see SparseObject.subscribe(). A transaction in another joins the outer one. Returns what the action
+ * returns.
+ */
+export function transaction( action) {
+	if( pendingChanges !== undefined)
+		return action();
+	pendingChanges = new Map();
+	try {
+		return action();
+	} finally {
+		const changes = pendingChanges;
+		pendingChanges = undefined;
+		notify( changes);
+	}
+}
+
+function notify( changes) {
+	const errors = [];
+	for( const [ object, oldValues] of changes) {
+		const events = [];
+		for( const [ name, oldValue] of oldValues) {
+			const newValue = object.get( name);
+			if( !sameValue( oldValue, newValue))
+				events.push( Object.freeze( { object, name, oldValue, newValue}));
+		}
+		if( events.length)
+			for( const listener of [ ...listeners.get( object) || []])
+				try {
+					listener( Object.freeze( [ ...events]));
+				} catch( error) {
+					errors.push( error);
+				}
+	}
+	if( errors.length === 1)
+		throw errors[ 0]; // after every listener is told
+	if( errors.length)
+		throw new AggregateError( errors, `${ errors.length} listeners failed`);
+}
+
+function inheritorsOf( object) {
+	if( !subscribedInheritors.has( object))
+		subscribedInheritors.set( object, new Set());
+	return subscribedInheritors.get( object);
+}
+
+function sameValue( a, b) {
+	if( a === b)
+		return true;
+	if( a instanceof Color && b instanceof Color)
+		return a.toString() === b.toString();
+	return Array.isArray( a) && Array.isArray( b) && a.length === b.length && a.every( ( element, i) => sameValue( element, b[ i]));
+}
+
 export class SparseObject {
 
 	#propertySpace;
@@ -386,14 +731,97 @@ export class SparseObject {
 		return this.#propertySpace;
 	}
 
+	get inherited() {
+		return [ ...this.#inherited];
+	}
+
 	set( name, value) {
 		const type = this.#propertySpace.getType( name);
 		if( type === undefined)
 			throw new Error( `property name undefined: ${ name}`);
-		if( value === undefined)
-			this.#local.delete( name);
-		else
-			this.#local.set( name, type.validate( value));
+		const validValue = value === undefined? undefined: type.validate( value);
+		transaction( () => {
+			this.#recordOldValues( [ name]);
+			if( validValue === undefined)
+				this.#local.delete( name);
+			else
+				this.#local.set( name, validValue);
+		});
+	}
+
+	/**
+	 * Calls a listener whenever the effective values of properties of this object change, whether they are set on this
+	 * object or on the presets it inherits from, directly or not. The listener is given the changes of a transaction at
+	 * once, in an array of { object, name, oldValue, newValue} objects. Returns a function that unsubscribes. Listeners
+	 * failing do not keep the others from being told, their errors thrown afterwards, in an AggregateError if many.
+	 */
+	subscribe( listener) {
+		if( typeof listener !== 'function')
+			throw new Error( `not a function: ${ listener}`);
+		if( !listeners.has( this)) {
+			listeners.set( this, new Set());
+			for( const preset of this.#ancestors())
+				inheritorsOf( preset).add( this);
+		}
+		listeners.get( this).add( listener);
+		return () => {
+			const objectListeners = listeners.get( this);
+			if( objectListeners && objectListeners.delete( listener) && !objectListeners.size) {
+				listeners.delete( this);
+				for( const preset of this.#ancestors())
+					inheritorsOf( preset).delete( this);
+			}
+		};
+	}
+
+	/**
+	 * Replaces the presets this object inherits from, of the same kind as before. Subscribers are told of the effective
+	 * values that change.
+	 */
+	rebase( inherited) {
+		const presets = [ ...inherited];
+		if( !presets.length)
+			throw new Error( 'at least one preset expected, the default one if nothing else');
+		for( const preset of presets) {
+			if( !( preset instanceof Preset) || !this.#inherited.some( current => preset instanceof current.constructor))
+				throw new Error( `not a preset of the same kind: ${ preset && preset.name}`);
+			if( preset.#inheritsFrom( this))
+				throw new Error( `circular inheritance: ${ preset.name}`);
+		}
+		transaction( () => {
+			this.#recordOldValues( this.#propertySpace.names());
+			const oldAncestors = this.#ancestors();
+			this.#inherited = presets;
+			const inheritors = [ ...inheritorsOf( this)];
+			for( const preset of oldAncestors) // unless still inherited from, through other presets
+				for( const inheritor of inheritors)
+					if( !inheritor.#inheritsFrom( preset))
+						inheritorsOf( preset).delete( inheritor);
+			for( const preset of this.#ancestors())
+				for( const inheritor of inheritors)
+					inheritorsOf( preset).add( inheritor);
+		});
+	}
+
+	// keeps the values before the transaction of the subscribed objects a change to this object may affect
+	#recordOldValues( names) {
+		for( const object of subscribedInheritors.get( this) || []) {
+			if( !pendingChanges.has( object))
+				pendingChanges.set( object, new Map());
+			const oldValues = pendingChanges.get( object);
+			for( const name of names)
+				if( object.#propertySpace.getType( name) !== undefined && !oldValues.has( name))
+					oldValues.set( name, object.get( name));
+		}
+	}
+
+	#inheritsFrom( object) {
+		return object === this || this.#inherited.some( preset => preset.#inheritsFrom( object));
+	}
+
+	// this object and the presets it inherits from, directly or not
+	#ancestors() {
+		return new Set( [ this, ...this.#inherited.flatMap( preset => [ ...preset.#ancestors()])]);
 	}
 
 	get( name) {
@@ -402,24 +830,54 @@ export class SparseObject {
 		return this.#getWithDistance( name, undefined)[ 0];
 	}
 
+	getLocal( name) {
+		if( this.#propertySpace.getType( name) === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		return this.#local.get( name);
+	}
+
+	// the object the value returned by get() is set on, this or one of the presets, undefined if the value is undefined
+	origin( name) {
+		if( this.#propertySpace.getType( name) === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		return this.#getWithDistance( name, undefined)[ 2];
+	}
+
+	// the value the presets give, what get() would return if the property were not set on this object
+	getInherited( name) {
+		if( this.#propertySpace.getType( name) === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		return this.#getInheritedWithDistance( name, undefined)[ 0];
+	}
+
 	#getWithDistance( name, maxDistance) {
 		const localValue = this.#local.get( name);
 		if( localValue !== undefined)
-			return [ localValue, 0];
+			return [ localValue, 0, this];
 		if( maxDistance === 0)
-			return [ undefined, undefined];
+			return [ undefined, undefined, undefined];
+		return this.#getInheritedWithDistance( name, maxDistance);
+	}
+
+	#getInheritedWithDistance( name, maxDistance) {
 		let closestValueSoFar = undefined;
-		let closestDistanceSoFar = maxDistance === undefined? undefined: maxDistance - 1;
+		let closestDistanceSoFar = undefined;
+		let closestOriginSoFar = undefined;
 		for( let i = this.#inherited.length - 1; i >= 0; i--) {
-			const [ value, distance] = this.#inherited[ i].#getWithDistance( name, closestDistanceSoFar);
-			if( distance === 0)
-				return value;
+			// only strictly closer values replace the one found so far, so the later presets win at equal distances
+			const limit = closestDistanceSoFar !== undefined? closestDistanceSoFar - 2
+					: maxDistance !== undefined? maxDistance - 1
+					: undefined;
+			if( limit < 0)
+				break;
+			const [ value, distance, origin] = this.#inherited[ i].#getWithDistance( name, limit);
 			if( distance !== undefined) {
 				closestValueSoFar = value;
-				closestDistanceSoFar = distance;
+				closestDistanceSoFar = distance + 1;
+				closestOriginSoFar = origin;
 			}
 		}
-		return [ closestValueSoFar, closestDistanceSoFar];
+		return [ closestValueSoFar, closestDistanceSoFar, closestOriginSoFar];
 	}
 }
 
@@ -453,24 +911,24 @@ export class Subject extends SparseObject {
 
 export const PROJECTION_MODE = EnumType.of( 'projection-mode', [ 'orthographic', 'perspective']);
 export const BUILT_IN_VIEW_PROPERTIES = new PropertySpace( [
-	[ 'x'         , FLOAT_TYPE],
-	[ 'y'         , FLOAT_TYPE],
-	[ 'z'         , FLOAT_TYPE],
-	[ 'pitch'     , FLOAT_TYPE],
-	[ 'yaw'       , FLOAT_TYPE],
-	[ 'roll'      , FLOAT_TYPE],
+	[ 'x'         , LENGTH_TYPE],
+	[ 'y'         , LENGTH_TYPE],
+	[ 'z'         , LENGTH_TYPE],
+	[ 'pitch'     , ANGLE_TYPE],
+	[ 'yaw'       , ANGLE_TYPE],
+	[ 'roll'      , ANGLE_TYPE],
 	[ 'projection', PROJECTION_MODE],
-	[ 'width'     , POSITIVE_FLOAT_TYPE], // effective only if projection=orthographic
-	[ 'height'    , POSITIVE_FLOAT_TYPE], // effective only if projection=orthographic
-	[ 'h-fov'     , POSITIVE_FLOAT_TYPE], // effective only if projection=perspective
-	[ 'v-fov'     , POSITIVE_FLOAT_TYPE], // effective only if projection=perspective
+	[ 'width'     , POSITIVE_LENGTH_TYPE], // effective only if projection=orthographic
+	[ 'height'    , POSITIVE_LENGTH_TYPE], // effective only if projection=orthographic
+	[ 'h-fov'     , POSITIVE_ANGLE_TYPE], // effective only if projection=perspective
+	[ 'v-fov'     , POSITIVE_ANGLE_TYPE], // effective only if projection=perspective
 	[ 'background', COLOR_TYPE],
 ]);
 
 export class ViewPreset extends Preset {
 
-	constructor( propertySpace, inherited) {
-		super( PRIV, propertySpace, inherited);
+	constructor( propertySpace, inherited, name = undefined) {
+		super( PRIV, propertySpace, inherited, name);
 	}
 }
 
@@ -492,30 +950,92 @@ export const BUILT_IN_VIEW_TYPES = Object.freeze( {
 	Screen,
 });
 
-export const BUILT_IN_ENTITY_PROPERTIES = new PropertySpace( [
-	[ 'x', FLOAT_TYPE],
-	[ 'y', FLOAT_TYPE],
-	[ 'z', FLOAT_TYPE],
-	[ 'pitch', FLOAT_TYPE],
-	[ 'yaw', FLOAT_TYPE],
-	[ 'roll', FLOAT_TYPE],
-	[ 'width', POSITIVE_FLOAT_TYPE],
-	[ 'height', POSITIVE_FLOAT_TYPE],
+// the subspaces the property spaces of the built-in entity types are composed of, placement shared by every type
+export const ENTITY_PLACEMENT_PROPERTIES = new PropertySpace( [
+	[ 'x'    , LENGTH_TYPE],
+	[ 'y'    , LENGTH_TYPE],
+	[ 'z'    , LENGTH_TYPE],
+	[ 'pitch', ANGLE_TYPE],
+	[ 'yaw'  , ANGLE_TYPE],
+	[ 'roll' , ANGLE_TYPE],
+]);
+export const ENTITY_SIZE_PROPERTIES = new PropertySpace( [
+	[ 'width' , POSITIVE_LENGTH_TYPE],
+	[ 'height', POSITIVE_LENGTH_TYPE],
+]);
+export const ENTITY_SHAPE_PROPERTIES = new PropertySpace( [
 	[ 'fill-color', COLOR_TYPE],
 	[ 'edge-color', COLOR_TYPE],
-	[ 'edge-width', POSITIVE_FLOAT_TYPE],
+	[ 'edge-width', POSITIVE_LENGTH_TYPE],
+]);
+export const ENTITY_LINE_PROPERTIES = new PropertySpace( [
 	[ 'line-color', COLOR_TYPE],
-	[ 'line-width', POSITIVE_FLOAT_TYPE],
-	[ 'text-color', COLOR_TYPE],
+	[ 'line-width', POSITIVE_LENGTH_TYPE],
+]);
+export const ENTITY_FONT_PROPERTIES = new PropertySpace( [
+	[ 'text-color' , COLOR_TYPE],
 	[ 'font-family', STRING_TYPE],
-	[ 'font-size', POSITIVE_FLOAT_TYPE],
-	[ 'text', STRING_TYPE],
+	[ 'font-size'  , POSITIVE_LENGTH_TYPE],
+	[ 'text'       , STRING_TYPE],
+]);
+
+export const ARROWHEAD = EnumType.of( 'arrowhead', [ 'none', 'arrow', 'open-arrow', 'dot']);
+export const TEXT_ALIGN = EnumType.of( 'text-align', [ 'start', 'middle', 'end']);
+export const FIT_MODE = EnumType.of( 'fit-mode', [ 'contain', 'cover', 'fill']);
+
+export const RECTANGLE_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	ENTITY_SIZE_PROPERTIES,
+	ENTITY_SHAPE_PROPERTIES,
+	ENTITY_LINE_PROPERTIES, // kept from when rectangles were the only entities
+	ENTITY_FONT_PROPERTIES,
+]);
+export const ELLIPSE_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	ENTITY_SIZE_PROPERTIES,
+	ENTITY_SHAPE_PROPERTIES,
+	ENTITY_FONT_PROPERTIES,
+]);
+export const LINE_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	[ 'end-x'      , LENGTH_TYPE], // relative to x, where the line starts
+	[ 'end-y'      , LENGTH_TYPE], // relative to y
+	ENTITY_LINE_PROPERTIES,
+	[ 'start-arrow', ARROWHEAD],
+	[ 'end-arrow'  , ARROWHEAD],
+]);
+export const TEXT_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	ENTITY_FONT_PROPERTIES,
+	[ 'text-align', TEXT_ALIGN], // of the text to x
+]);
+export const IMAGE_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	ENTITY_SIZE_PROPERTIES,
+	[ 'source', STRING_TYPE], // the path or the URL of the image
+	[ 'fit'   , FIT_MODE], // into the width and height
+]);
+export const PATH_PROPERTIES = new PropertySpace( [
+	ENTITY_PLACEMENT_PROPERTIES,
+	ENTITY_SHAPE_PROPERTIES,
+	[ 'vertices', ListType.of( TupleType.of( LENGTH_TYPE, LENGTH_TYPE))], // relative to x and y
+	[ 'closed'  , BOOLEAN_TYPE],
+]);
+
+// every property of the built-in entity types, which presets may set
+export const BUILT_IN_ENTITY_PROPERTIES = new PropertySpace( [
+	RECTANGLE_PROPERTIES,
+	ELLIPSE_PROPERTIES,
+	LINE_PROPERTIES,
+	TEXT_PROPERTIES,
+	IMAGE_PROPERTIES,
+	PATH_PROPERTIES,
 ]);
 
 export class EntityPreset extends Preset {
 
-	constructor( propertySpace, inherited) {
-		super( PRIV, propertySpace, inherited);
+	constructor( propertySpace, inherited, name = undefined) {
+		super( PRIV, propertySpace, inherited, name);
 	}
 }
 
@@ -529,22 +1049,66 @@ export class Entity extends Subject {
 export class Rectangle extends Entity {
 
 	constructor( inherited, name = undefined) {
-		super( BUILT_IN_ENTITY_PROPERTIES, inherited, name);
+		super( RECTANGLE_PROPERTIES, inherited, name);
+	}
+}
+
+export class Ellipse extends Entity {
+
+	constructor( inherited, name = undefined) {
+		super( ELLIPSE_PROPERTIES, inherited, name);
+	}
+}
+
+export class Line extends Entity {
+
+	constructor( inherited, name = undefined) {
+		super( LINE_PROPERTIES, inherited, name);
+	}
+}
+
+export class Text extends Entity {
+
+	constructor( inherited, name = undefined) {
+		super( TEXT_PROPERTIES, inherited, name);
+	}
+}
+
+export class Image extends Entity {
+
+	constructor( inherited, name = undefined) {
+		super( IMAGE_PROPERTIES, inherited, name);
+	}
+}
+
+export class Path extends Entity {
+
+	constructor( inherited, name = undefined) {
+		super( PATH_PROPERTIES, inherited, name);
 	}
 }
 
 export const BUILT_IN_ENTITY_TYPES = Object.freeze( {
 	Rectangle,
+	Ellipse,
+	Line,
+	Text,
+	Image,
+	Path,
 });
 
+export const EASING_MODE = EnumType.of( 'easing-mode', [
+	'linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end', 'cubic-bezier']);
 export const BUILT_IN_TRANSITION_PROPERTIES = new PropertySpace( [
-	[ 'duration', DURATION_TYPE],
+	[ 'duration'    , DURATION_TYPE],
+	[ 'easing'      , EASING_MODE],
+	[ 'easing-curve', TupleType.of( FRACTION_TYPE, FLOAT_TYPE, FRACTION_TYPE, FLOAT_TYPE)], // effective only if easing=cubic-bezier
 ]);
 
 export class TransitionPreset extends Preset {
 
-	constructor( propertySpace, inherited) {
-		super( PRIV, propertySpace, inherited);
+	constructor( propertySpace, inherited, name = undefined) {
+		super( PRIV, propertySpace, inherited, name);
 	}
 }
 
@@ -562,6 +1126,22 @@ export class Transition extends SparseObject {
 		return this.#target;
 	}
 
+	// changes the target, as long as the parameters set are still valid for the new target
+	retarget( target) {
+		if( !( target instanceof Subject))
+			throw new Error( `not a subject: ${ target}`);
+		const parameters = this.parameterNames().map( name => [ name, this.getParameterType( name)]);
+		const oldTarget = this.#target;
+		this.#target = target;
+		for( const [ name, type] of parameters) {
+			const newType = this.getParameterType( name);
+			if( newType === undefined || !newType.equals( type) || !this.parameterNames().includes( name)) {
+				this.#target = oldTarget;
+				throw new Error( `parameter not supported by the new target: ${ name}`);
+			}
+		}
+	}
+
 	get auto() {
 		return this.#auto;
 	}
@@ -570,6 +1150,27 @@ export class Transition extends SparseObject {
 		this.#auto = auto;
 	}
 
+	/**
+	 * Applies what happens as soon as this transition starts to a scene state, see SceneState in scene.js. Does nothing by
+	 * default.
+	 */
+	prepare( state) {
+		// do nothing
+	}
+
+	/**
+	 * Applies the effect of this transition, as it is when the transition ends, to a scene state prepared by prepare().
+	 * Properties changed here are interpolated during the transition. Does nothing by default.
+	 */
+	apply( state) {
+		// do nothing
+	}
+
+	// the names of the parameters set, none by default
+	parameterNames() {
+		return [];
+	}
+
 	getParameterType( name) {
 		throw new Error( `unimplemented: ${ this.constructor.name}.getParameterType()`);
 	}
@@ -583,12 +1184,19 @@ export class Transition extends SparseObject {
 	}
 }
 
-export class Appears extends Transition {
+/**
+ * Base of the built-in transitions taking no parameters.
+ */
+class SimpleTransition extends Transition {
 
 	constructor( inherited, target) {
 		super( BUILT_IN_TRANSITION_PROPERTIES, inherited, target);
 	}
 
+	parameterNames() {
+		return [];
+	}
+
 	getParameterType( name) {
 		return undefined;
 	}
@@ -602,6 +1210,580 @@ export class Appears extends Transition {
 	}
 }
 
+export class Appears extends SimpleTransition {
+
+	prepare( state) {
+		state.show( this.target);
+	}
+
+	apply( state) {
+		// already shown in prepare()
+	}
+}
+
+export class Disappears extends SimpleTransition {
+
+	prepare( state) {
+		state.hide( this.target);
+	}
+
+	apply( state) {
+		// already hidden in prepare()
+	}
+}
+
+export class FadesIn extends SimpleTransition {
+
+	prepare( state) {
+		state.show( this.target, 0);
+	}
+
+	apply( state) {
+		state.show( this.target, 1);
+	}
+}
+
+export class FadesOut extends SimpleTransition {
+
+	apply( state) {
+		state.hide( this.target);
+	}
+}
+
+/**
+ * Base of the built-in transitions animating properties of the target to new values, given as parameters named after
+ * the properties, with the types of the properties.
+ */
+class PropertyTransition extends Transition {
+
+	#names; // accepted parameter names, undefined if all properties of the target are accepted
+	#parameters = new Map(); // Map< string, any>
+
+	constructor( inherited, target, names) {
+		super( BUILT_IN_TRANSITION_PROPERTIES, inherited, target);
+		this.#names = names;
+	}
+
+	parameterNames() {
+		return [ ...this.target.propertySpace.names()].filter( name => this.#parameters.has( name));
+	}
+
+	getParameterType( name) {
+		if( this.#names !== undefined && !this.#names.includes( name))
+			return undefined;
+		return this.target.propertySpace.getType( name);
+	}
+
+	getParameter( name) {
+		return this.#parameters.get( name);
+	}
+
+	setParameter( name, value) {
+		const type = this.getParameterType( name);
+		if( type === undefined)
+			throw new Error( `unsupported parameter: ${ name}`);
+		if( value === undefined)
+			this.#parameters.delete( name);
+		else
+			this.#parameters.set( name, type.validate( value));
+	}
+
+	apply( state) {
+		for( const [ name, value] of this.#parameters)
+			state.set( this.target, name, value);
+	}
+}
+
+export class MovesTo extends PropertyTransition {
+
+	constructor( inherited, target) {
+		super( inherited, target, [ 'x', 'y', 'z']);
+	}
+}
+
+export class Changes extends PropertyTransition {
+
+	constructor( inherited, target) {
+		super( inherited, target, undefined);
+	}
+}
+
 export const BUILT_IN_TRANSITION_TYPES = Object.freeze( {
 	'appears': Appears,
+	'disappears': Disappears,
+	'fades-in': FadesIn,
+	'fades-out': FadesOut,
+	'moves-to': MovesTo,
+	'changes': Changes,
 });
+
+/**
+ * A group of transitions played together: a manually triggered transition followed by the auto transitions after it.
+ * Only the first step of a presentation may start with an auto transition, which plays without being triggered.
+ */
+export class Step {
+
+	#transitions;
+
+	constructor( transitions) {
+		if( !transitions.length)
+			throw new Error( 'a step needs at least one transition');
+		this.#transitions = [ ...transitions];
+	}
+
+	get transitions() {
+		return [ ...this.#transitions];
+	}
+
+	get auto() {
+		return this.#transitions[ 0].auto === true;
+	}
+}
+
+/**
+ * Where the objects of a presentation are defined, and their properties and parameters set, in the script it is parsed
+ * from. Spans are frozen objects of { source, lineIndex, columnIndex, endColumnIndex}, each within a line, the indices
+ * 0-based and the end exclusive.
+ *
+ * The units lengths and angles are written in are kept too, for the codec to write them back the same way. Units are
+ * frozen objects of { name, scale}, a value in the unit being the value in the model divided by the scale. Percentages
+ * also have the view and its dimension, 'width' or 'height', they are of, and are no longer told once the size changes.
+ * So are the constants and the expressions numbers are written in, expressions being frozen objects of { source,
+ * value, units}, the value what the source evaluated to, in the percentages it has among the units.
+ * The units of the elements of tuples, lists, and dictionaries are in arrays, undefined for those written in none.
+ */
+export class SourceMap {
+
+	#definitions = new Map(); // Map< Preset | Subject | Transition | Import, span>
+	#properties = new Map(); // Map< SparseObject, Map< string, span>>
+	#parameters = new Map(); // Map< Transition, Map< string, span>>
+	#units = new Map(); // Map< SparseObject, Map< string, unit>>, by "=" followed by names for parameters
+	#expressions = new Map(); // Map< SparseObject, Map< string, expression>>, as #units
+	#constants = new Map(); // Map< string, expression>
+	#lines = new Map(); // Map< number, [ { span, object, property, parameter, unit, expression}]>
+	#blockEnds = new Map(); // Map< number, number>, by the lines of the headers
+
+	// the first definition is kept, default presets can be defined more than once
+	define( span, object) {
+		if( !this.#definitions.has( object))
+			this.#definitions.set( object, span);
+		this.#addToLine( { span, object, property: undefined, parameter: undefined, unit: undefined, expression: undefined});
+	}
+
+	defineConstant( name, expression) {
+		this.#constants.set( name, expression);
+	}
+
+	// [ [ string, expression]], in the order defined
+	constants() {
+		return [ ...this.#constants];
+	}
+
+	// the last assignment is kept, as is its value
+	assign( span, object, name, unit = undefined, expression = undefined) {
+		if( !this.#properties.has( object))
+			this.#properties.set( object, new Map());
+		this.#properties.get( object).set( name, span);
+		setIn( this.#units, object, name, unit);
+		setIn( this.#expressions, object, name, expression);
+		this.#addToLine( { span, object, property: name, parameter: undefined, unit, expression});
+	}
+
+	assignParameter( span, transition, name, unit = undefined, expression = undefined) {
+		if( !this.#parameters.has( transition))
+			this.#parameters.set( transition, new Map());
+		this.#parameters.get( transition).set( name, span);
+		setIn( this.#units, transition, '=' + name, unit);
+		setIn( this.#expressions, transition, '=' + name, expression);
+		this.#addToLine( { span, object: transition, property: undefined, parameter: name, unit, expression});
+	}
+
+	// the unit a property was last set in, undefined if in that of the model
+	unitOf( object, name) {
+		const units = this.#units.get( object);
+		return fresh( units && units.get( name));
+	}
+
+	unitOfParameter( transition, name) {
+		return this.unitOf( transition, '=' + name);
+	}
+
+	// the source of the expression a property was last set to, undefined if the value or a percentage in it changed since
+	expressionOf( object, name) {
+		return this.#expressionSource( object, name, object.getLocal( name));
+	}
+
+	expressionOfParameter( transition, name) {
+		return this.#expressionSource( transition, '=' + name, transition.getParameter( name));
+	}
+
+	#expressionSource( object, key, value) {
+		const expressions = this.#expressions.get( object);
+		const expression = expressions && expressions.get( key);
+		return expression === undefined || expression.value !== value || expression.units.some( isStale)
+				? undefined
+				: expression.source;
+	}
+
+	// where an object is defined, or one of its properties is set if the name is given
+	spanOf( object, name = undefined) {
+		if( name === undefined)
+			return this.#definitions.get( object);
+		const spans = this.#properties.get( object);
+		return spans && spans.get( name);
+	}
+
+	spanOfParameter( transition, name) {
+		const spans = this.#parameters.get( transition);
+		return spans && spans.get( name);
+	}
+
+	// the block of a line at the top level ends before another, the blank lines and comments after it left out
+	endBlock( lineIndex, endLineIndex) {
+		this.#blockEnds.set( lineIndex, endLineIndex);
+	}
+
+	// the lines an object is defined on, in { source, lineIndex, endLineIndex}, from its header to the end of its block
+	blockSpanOf( object) {
+		const span = this.#definitions.get( object);
+		if( span === undefined)
+			return undefined;
+		const endLineIndex = this.#blockEnds.get( span.lineIndex);
+		return Object.freeze( { source: span.source, lineIndex: span.lineIndex,
+				endLineIndex: endLineIndex === undefined? span.lineIndex + 1: endLineIndex});
+	}
+
+	/**
+	 * Returns what is defined or set on a line, in { span, object, property, parameter, unit, expression} objects,
+	 * property or parameter being undefined for definitions. Only those spanning the column are returned if a column is
+	 * given.
+	 */
+	at( lineIndex, columnIndex = undefined) {
+		return ( this.#lines.get( lineIndex) || []).filter( entry => columnIndex === undefined
+				|| entry.span.columnIndex <= columnIndex && columnIndex <= entry.span.endColumnIndex);
+	}
+
+	#addToLine( entry) {
+		if( !this.#lines.has( entry.span.lineIndex))
+			this.#lines.set( entry.span.lineIndex, []);
+		this.#lines.get( entry.span.lineIndex).push( Object.freeze( entry));
+	}
+}
+
+function setIn( map, object, name, value) {
+	if( !map.has( object))
+		map.set( object, new Map());
+	if( value === undefined)
+		map.get( object).delete( name);
+	else
+		map.get( object).set( name, value);
+}
+
+// whether a unit is a percentage of a view size that changed since
+function isStale( unit) {
+	return unit.view !== undefined && unit.view.get( unit.dimension) / 100 !== unit.scale;
+}
+
+// a unit unless stale, those of elements in arrays
+function fresh( unit) {
+	if( Array.isArray( unit))
+		return Object.freeze( unit.map( fresh));
+	return unit === undefined || isStale( unit)? undefined: unit;
+}
+
+/**
+ * Another presentation imported into a presentation, sharing its aliases and named presets, including those it imports
+ * itself. With a namespace, the ids of the presets are prefixed with the namespace and a ".".
+ */
+export class Import {
+
+	#path;
+	#namespace;
+	#presentation;
+
+	constructor( path, namespace, presentation) {
+		if( namespace !== undefined && !ID.test( namespace))
+			throw new Error( `illegal namespace: ${ namespace}`);
+		this.#path = path;
+		this.#namespace = namespace;
+		this.#presentation = presentation;
+	}
+
+	get path() {
+		return this.#path;
+	}
+
+	get namespace() {
+		return this.#namespace;
+	}
+
+	get presentation() {
+		return this.#presentation;
+	}
+
+	get( id) {
+		if( this.#namespace !== undefined) {
+			if( !id.startsWith( this.#namespace + '.'))
+				return undefined;
+			id = id.substring( this.#namespace.length + 1);
+		}
+		const object = this.#presentation.get( id);
+		return object instanceof Preset? object: undefined;
+	}
+
+	getAlias( alias) {
+		return this.#presentation.getAlias( alias);
+	}
+
+	// [ [ string, string]], alias and name pairs
+	aliases() {
+		return [
+			...this.#presentation.aliases(),
+			...this.#presentation.imports().flatMap( imported => imported.aliases()),
+		];
+	}
+
+	// [ [ string, Preset]], presets and their ids in the importing presentation
+	presets() {
+		const prefix = this.#namespace === undefined? '': this.#namespace + '.';
+		return [
+			...this.#presentation.presets().map( preset => [ prefix + preset.name, preset]),
+			...this.#presentation.imports().flatMap( imported => imported.presets().map( ( [ id, preset]) => [ prefix + id, preset])),
+		];
+	}
+}
+
+/**
+ * The whole document: imports, aliases, default and named presets, subjects (including those never targeted by a transition), and
+ * transitions, all in their order of definition.
+ */
+export class Presentation {
+
+	#imports = [];
+	#aliases = new Map(); // Map< string, string>
+	#defaultViewPreset;
+	#defaultEntityPreset;
+	#defaultTransitionPreset;
+	#presets = []; // named presets
+	#subjects = [];
+	#transitions = [];
+	#ids = new Map(); // Map< string, Preset|Subject>
+	#sourceMap = new SourceMap();
+
+	constructor( defaultViewPreset, defaultEntityPreset, defaultTransitionPreset) {
+		if( !( defaultViewPreset instanceof ViewPreset && defaultViewPreset.name === undefined))
+			throw new Error( `not a default view preset: ${ defaultViewPreset}`);
+		if( !( defaultEntityPreset instanceof EntityPreset && defaultEntityPreset.name === undefined))
+			throw new Error( `not a default entity preset: ${ defaultEntityPreset}`);
+		if( !( defaultTransitionPreset instanceof TransitionPreset && defaultTransitionPreset.name === undefined))
+			throw new Error( `not a default transition preset: ${ defaultTransitionPreset}`);
+		this.#defaultViewPreset = defaultViewPreset;
+		this.#defaultEntityPreset = defaultEntityPreset;
+		this.#defaultTransitionPreset = defaultTransitionPreset;
+	}
+
+	get defaultViewPreset() {
+		return this.#defaultViewPreset;
+	}
+
+	get defaultEntityPreset() {
+		return this.#defaultEntityPreset;
+	}
+
+	get defaultTransitionPreset() {
+		return this.#defaultTransitionPreset;
+	}
+
+	// empty unless parsed from a script
+	get sourceMap() {
+		return this.#sourceMap;
+	}
+
+	// same as SourceMap.spanOf(), looking into the imported presentations too, the spans of which are in other sources
+	spanOf( object, name = undefined) {
+		const span = this.#sourceMap.spanOf( object, name);
+		if( span !== undefined)
+			return span;
+		for( const imported of this.#imports) {
+			const importedSpan = imported.presentation.spanOf( object, name);
+			if( importedSpan !== undefined)
+				return importedSpan;
+		}
+		return undefined;
+	}
+
+	addImport( imported) {
+		if( !( imported instanceof Import))
+			throw new Error( `not an import: ${ imported}`);
+		for( const [ alias, name] of imported.aliases())
+			if( this.getAlias( alias) !== undefined && this.getAlias( alias) !== name)
+				throw new Error( `alias collision: ${ alias}`);
+		for( const [ id] of imported.presets())
+			if( this.get( id) !== undefined)
+				throw new Error( `id collision: ${ id}`);
+		this.#imports.push( imported);
+	}
+
+	imports() {
+		return [ ...this.#imports];
+	}
+
+	setAlias( alias, name) {
+		if( this.getAlias( alias) !== undefined)
+			throw new Error( `alias already exists: ${ alias}`);
+		if( !( ID.test( alias) && ID.test( name) || TYPE.test( alias) && TYPE.test( name)))
+			throw new Error( `illegal alias: ${ alias} := ${ name}`);
+		this.#aliases.set( alias, name);
+	}
+
+	getAlias( alias) {
+		if( this.#aliases.has( alias))
+			return this.#aliases.get( alias);
+		for( const imported of this.#imports) {
+			const name = imported.getAlias( alias);
+			if( name !== undefined)
+				return name;
+		}
+		return undefined;
+	}
+
+	// own aliases only, not those imported
+	aliases() {
+		return [ ...this.#aliases];
+	}
+
+	addPreset( preset, index = this.#presets.length) {
+		if( !( preset instanceof Preset) || preset.name === undefined)
+			throw new Error( `not a named preset: ${ preset}`);
+		checkIndex( index, this.#presets.length);
+		this.#addId( preset.name, preset);
+		this.#presets.splice( index, 0, preset);
+	}
+
+	// only presets nothing in the presentation inherits from can be removed
+	removePreset( preset) {
+		const index = this.#presets.indexOf( preset);
+		if( index < 0)
+			throw new Error( `preset not in the presentation: ${ preset && preset.name}`);
+		for( const object of [ ...this.#presets, ...this.#subjects, ...this.#transitions])
+			if( object.inherited.includes( preset))
+				throw new Error( `preset inherited by ${ object.name || object.constructor.name}: ${ preset.name}`);
+		this.#presets.splice( index, 1);
+		this.#ids.delete( preset.name);
+		return index;
+	}
+
+	addSubject( subject, index = this.#subjects.length) {
+		if( !( subject instanceof Subject))
+			throw new Error( `not a subject: ${ subject}`);
+		if( this.#subjects.includes( subject))
+			throw new Error( `subject already added: ${ subject.name}`);
+		checkIndex( index, this.#subjects.length);
+		if( subject.name !== undefined)
+			this.#addId( subject.name, subject);
+		this.#subjects.splice( index, 0, subject);
+	}
+
+	// only subjects no transition targets can be removed
+	removeSubject( subject) {
+		const index = this.#subjects.indexOf( subject);
+		if( index < 0)
+			throw new Error( `subject not in the presentation: ${ subject && subject.name}`);
+		if( this.#transitions.some( transition => transition.target === subject))
+			throw new Error( `subject targeted by transitions: ${ subject.name || subject.constructor.name}`);
+		this.#subjects.splice( index, 1);
+		if( subject.name !== undefined)
+			this.#ids.delete( subject.name);
+		return index;
+	}
+
+	addTransition( transition, index = this.#transitions.length) {
+		if( !( transition instanceof Transition))
+			throw new Error( `not a transition: ${ transition}`);
+		if( !this.#subjects.includes( transition.target))
+			throw new Error( `transition target not in the presentation: ${ transition.target.name}`);
+		if( this.#transitions.includes( transition))
+			throw new Error( 'transition already added');
+		checkIndex( index, this.#transitions.length);
+		this.#transitions.splice( index, 0, transition);
+	}
+
+	removeTransition( transition) {
+		const index = this.#transitions.indexOf( transition);
+		if( index < 0)
+			throw new Error( 'transition not in the presentation');
+		this.#transitions.splice( index, 1);
+		return index;
+	}
+
+	// moves a transition to an index of the transitions, as it is after the move
+	moveTransition( transition, index) {
+		const from = this.removeTransition( transition);
+		try {
+			this.addTransition( transition, index);
+		} catch( error) {
+			this.#transitions.splice( from, 0, transition);
+			throw error;
+		}
+		return from;
+	}
+
+	#addId( id, object) {
+		if( this.get( id) !== undefined)
+			throw new Error( `id collision: ${ id}`);
+		this.#ids.set( id, object);
+	}
+
+	// imported presets included
+	get( id) {
+		if( this.#ids.has( id))
+			return this.#ids.get( id);
+		for( const imported of this.#imports) {
+			const preset = imported.get( id);
+			if( preset !== undefined)
+				return preset;
+		}
+		return undefined;
+	}
+
+	// own named presets only, not those imported
+	presets() {
+		return [ ...this.#presets];
+	}
+
+	subjects() {
+		return [ ...this.#subjects];
+	}
+
+	views() {
+		return this.#subjects.filter( subject => subject instanceof View);
+	}
+
+	entities() {
+		return this.#subjects.filter( subject => subject instanceof Entity);
+	}
+
+	transitions() {
+		return [ ...this.#transitions];
+	}
+
+	steps() {
+		const steps = [];
+		let group = [];
+		for( const transition of this.#transitions) {
+			if( group.length && !transition.auto) {
+				steps.push( new Step( group));
+				group = [];
+			}
+			group.push( transition);
+		}
+		if( group.length)
+			steps.push( new Step( group));
+		return steps;
+	}
+}
+
+function checkIndex( index, length) {
+	if( !( Number.isInteger( index) && index >= 0 && index <= length))
+		throw new Error( `index out of range: ${ index}`);
+}
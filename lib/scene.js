@@ -0,0 +1,179 @@
+import { View, Entity} from './model.js';
+
+/**
+ * An immutable snapshot of what is on the stage: the active view, the visible entities in the order they appeared with
+ * their opacities, and the effective property values of each of them, resolved through the preset chains and the
+ * changes made by transitions.
+ */
+export class Scene {
+
+	#view;
+	#entities;
+	#opacities; // Map< Entity, number>
+	#values; // Map< Subject, Map< string, any>>
+
+	constructor( view, opacities, values) {
+		this.#view = view;
+		this.#entities = Object.freeze( [ ...opacities.keys()]);
+		this.#opacities = opacities;
+		this.#values = values;
+	}
+
+	get view() {
+		return this.#view;
+	}
+
+	get entities() {
+		return this.#entities;
+	}
+
+	isVisible( subject) {
+		return subject === this.#view || this.#opacities.has( subject);
+	}
+
+	opacity( subject) {
+		return subject === this.#view? 1: this.#opacities.get( subject) || 0;
+	}
+
+	get( subject, name) {
+		const values = this.#values.get( subject);
+		if( !values)
+			throw new Error( `not visible: ${ subject.name}`);
+		if( subject.propertySpace.getType( name) === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		return values.get( name);
+	}
+}
+
+/**
+ * The mutable state transitions work on, turned into a Scene with snapshot().
+ */
+export class SceneState {
+
+	#view = undefined;
+	#entities = new Map(); // Map< Entity, number>, visible entities and their opacities
+	#changes = new Map(); // Map< Subject, Map< string, any>>, values set by transitions
+
+	get view() {
+		return this.#view;
+	}
+
+	get entities() {
+		return [ ...this.#entities.keys()];
+	}
+
+	isVisible( subject) {
+		return subject === this.#view || this.#entities.has( subject);
+	}
+
+	opacity( subject) {
+		return subject === this.#view? 1: this.#entities.get( subject) || 0;
+	}
+
+	/**
+	 * Shows a subject, or changes the opacity of one already shown. A view replaces the active view, and is always opaque.
+	 */
+	show( subject, opacity = 1) {
+		if( subject instanceof View)
+			this.#view = subject;
+		else if( subject instanceof Entity) {
+			if( !( typeof opacity === 'number' && opacity >= 0 && opacity <= 1))
+				throw new Error( `opacity must be within [0, 1]: ${ opacity}`);
+			this.#entities.set( subject, opacity);
+		} else
+			throw new Error( `not a subject: ${ subject}`);
+	}
+
+	hide( subject) {
+		if( subject === this.#view)
+			this.#view = undefined;
+		else
+			this.#entities.delete( subject);
+	}
+
+	get( subject, name) {
+		const changes = this.#changes.get( subject);
+		if( changes && changes.has( name))
+			return changes.get( name);
+		return subject.get( name);
+	}
+
+	set( subject, name, value) {
+		const type = subject.propertySpace.getType( name);
+		if( type === undefined)
+			throw new Error( `property name undefined: ${ name}`);
+		if( !this.#changes.has( subject))
+			this.#changes.set( subject, new Map());
+		if( value === undefined)
+			this.#changes.get( subject).delete( name);
+		else
+			this.#changes.get( subject).set( name, type.validate( value));
+	}
+
+	copy() {
+		const copy = new SceneState();
+		copy.#view = this.#view;
+		copy.#entities = new Map( this.#entities);
+		for( const [ subject, changes] of this.#changes)
+			copy.#changes.set( subject, new Map( changes));
+		return copy;
+	}
+
+	snapshot() {
+		return this.interpolate( this, 1);
+	}
+
+	/**
+	 * Takes a snapshot in the middle of the way from this state to the end state, progress being 0 at this state and 1 at
+	 * the end state. The subjects visible in this state are those in the snapshot, fading towards their opacities in the
+	 * end state, 0 if hidden there.
+	 */
+	interpolate( end, progress) {
+		const opacities = new Map();
+		for( const [ entity, opacity] of this.#entities)
+			opacities.set( entity, Math.min( 1, Math.max( 0, opacity + ( end.opacity( entity) - opacity) * progress)));
+		const values = new Map();
+		for( const subject of this.#view? [ this.#view, ...this.#entities.keys()]: this.#entities.keys()) {
+			const subjectValues = new Map();
+			for( const [ name, type] of subject.propertySpace) {
+				const from = this.get( subject, name);
+				const to = end.get( subject, name);
+				subjectValues.set( name, frozenCopy( from === to? from: type.interpolate( from, to, progress)));
+			}
+			values.set( subject, subjectValues);
+		}
+		return new Scene( this.#view, opacities, values);
+	}
+}
+
+/**
+ * Computes the scene after any step of a presentation. Step -1 is the empty stage before the first step.
+ */
+export class SceneEvaluator {
+
+	#steps;
+
+	constructor( presentation) {
+		this.#steps = presentation.steps();
+	}
+
+	get stepCount() {
+		return this.#steps.length;
+	}
+
+	evaluate( stepIndex) {
+		if( !Number.isInteger( stepIndex) || stepIndex < -1 || stepIndex >= this.#steps.length)
+			throw new Error( `step index out of range: ${ stepIndex}`);
+		const state = new SceneState();
+		for( let i = 0; i <= stepIndex; i++)
+			for( const transition of this.#steps[ i].transitions) {
+				transition.prepare( state);
+				transition.apply( state);
+			}
+		return state.snapshot();
+	}
+}
+
+function frozenCopy( value) {
+	return Array.isArray( value)? Object.freeze( value.map( frozenCopy)): value;
+}
@@ -0,0 +1,188 @@
+import { Rectangle, Ellipse, Line, Text, Image, Path} from './model.js';
+
+const LINE_HEIGHT = 1.2; // in em, for texts of more than one line
+const ARROWHEAD_SIZE = 4; // in line widths, at least 8
+
+/**
+ * Renders a scene to a standalone SVG document. The viewport is the width and height of the view, centered at its x and
+ * y, with y pointing down as on the screen. Rectangles, ellipses, images, and texts are centered at their x and y, except
+ * texts aligned otherwise, while lines and paths are drawn relative to them. Shapes are drawn with their fills and edges,
+ * rectangles and ellipses with their texts in the middle, and lines in black unless colored. Entities are drawn in the
+ * order they appeared, those of types other than the built-in ones skipped. The view is looked at straight along the
+ * z axis: views in perspective projection are rejected, and the z, pitch, yaw, and roll of the view and the entities
+ * are ignored, see Camera for projecting them.
+ */
+export function renderSvg( scene) {
+	const view = scene.view;
+	if( view === undefined)
+		throw new Error( 'no view in the scene');
+	if( view.propertySpace.getType( 'projection') !== undefined && scene.get( view, 'projection') === 'perspective')
+		throw new Error( 'perspective projection not supported in SVG, orthographic only');
+	const width = scene.get( view, 'width');
+	const height = scene.get( view, 'height');
+	if( width === undefined || height === undefined)
+		throw new Error( 'view width and height required');
+	const left = ( scene.get( view, 'x') || 0) - width / 2;
+	const top = ( scene.get( view, 'y') || 0) - height / 2;
+
+	const lines = [
+		`<svg xmlns="http://www.w3.org/2000/svg" width="${ number( width)}" height="${ number( height)}" viewBox="${
+				[ left, top, width, height].map( number).join( ' ')}">`,
+	];
+	const background = scene.get( view, 'background');
+	if( background !== undefined)
+		lines.push( `\t<rect${ attributes( { x: left, y: top, width, height, fill: background})}/>`);
+	for( const entity of scene.entities) {
+		const draw = DRAWINGS.find( ( [ type]) => entity instanceof type);
+		if( draw === undefined)
+			continue;
+		const opacity = scene.opacity( entity);
+		lines.push(
+				`\t<g${ attributes( { id: entity.name, opacity: opacity < 1? opacity: undefined})}>`,
+				...draw[ 1]( name => scene.get( entity, name)).map( line => '\t\t' + line),
+				'\t</g>');
+	}
+	lines.push( '</svg>');
+	return lines.join( '\n') + '\n';
+}
+
+// the elements of entities by their types, given the values of their properties
+const DRAWINGS = [
+	[ Rectangle, get => {
+		const { x, y, width, height} = box( get);
+		return [
+			...width === undefined || height === undefined? []: [
+				`<rect${ attributes( { x: x - width / 2, y: y - height / 2, width, height, ...shape( get)})}/>`,
+			],
+			...label( get, x, y, 'middle'),
+		];
+	}],
+	[ Ellipse, get => {
+		const { x, y, width, height} = box( get);
+		return [
+			...width === undefined || height === undefined? []: [
+				`<ellipse${ attributes( { cx: x, cy: y, rx: width / 2, ry: height / 2, ...shape( get)})}/>`,
+			],
+			...label( get, x, y, 'middle'),
+		];
+	}],
+	[ Line, get => {
+		const { x, y} = position( get);
+		const [ endX, endY] = [ x + ( get( 'end-x') || 0), y + ( get( 'end-y') || 0)];
+		const color = get( 'line-color') || '#000000';
+		const width = get( 'line-width') || 1;
+		return [
+			`<line${ attributes( { x1: x, y1: y, x2: endX, y2: endY, stroke: color, 'stroke-width': width})}/>`,
+			...arrowhead( get( 'start-arrow'), endX, endY, x, y, color, width),
+			...arrowhead( get( 'end-arrow'), x, y, endX, endY, color, width),
+		];
+	}],
+	[ Text, get => {
+		const { x, y} = position( get);
+		return label( get, x, y, get( 'text-align') || 'middle');
+	}],
+	[ Image, get => {
+		const { x, y, width, height} = box( get);
+		const source = get( 'source');
+		if( width === undefined || height === undefined || !source)
+			return [];
+		const fit = get( 'fit') || 'contain';
+		return [ `<image${ attributes( {
+			x: x - width / 2,
+			y: y - height / 2,
+			width,
+			height,
+			href: source,
+			preserveAspectRatio: fit === 'contain'? 'xMidYMid meet': fit === 'cover'? 'xMidYMid slice': 'none',
+		})}/>`];
+	}],
+	[ Path, get => {
+		const { x, y} = position( get);
+		const vertices = get( 'vertices') || [];
+		if( !vertices.length)
+			return [];
+		const d = vertices.map( ( [ vertexX, vertexY], i) => `${ i? 'L': 'M'}${ number( x + vertexX)} ${ number( y + vertexY)}`)
+				.join( ' ');
+		return [ `<path${ attributes( { d: get( 'closed')? d + ' Z': d, ...shape( get)})}/>`];
+	}],
+];
+
+function position( get) {
+	return { x: get( 'x') || 0, y: get( 'y') || 0};
+}
+
+function box( get) {
+	return { ...position( get), width: get( 'width'), height: get( 'height')};
+}
+
+// the fill and the edge of a shape
+function shape( get) {
+	const edgeColor = get( 'edge-color');
+	return {
+		fill: get( 'fill-color') || 'none',
+		stroke: edgeColor,
+		'stroke-width': edgeColor === undefined? undefined: get( 'edge-width'),
+	};
+}
+
+function label( get, x, y, anchor) {
+	const text = get( 'text');
+	if( !text)
+		return [];
+	const textLines = text.split( '\n');
+	return [ `<text${ attributes( {
+		x,
+		y,
+		'text-anchor': anchor,
+		'dominant-baseline': 'central',
+		'font-family': get( 'font-family'),
+		'font-size': get( 'font-size'),
+		fill: get( 'text-color'),
+	})}>${ textLines.length === 1? escapeXml( text): textLines.map( ( textLine, i) =>
+			`<tspan${ attributes( { x, dy: `${ number( i? LINE_HEIGHT: -( textLines.length - 1) * LINE_HEIGHT / 2)}em`})}>${
+					escapeXml( textLine)}</tspan>`).join( '')}</text>`];
+}
+
+// an arrowhead at the end of a line from the start, pointing away from the start
+function arrowhead( kind, startX, startY, endX, endY, color, lineWidth) {
+	const length = Math.hypot( endX - startX, endY - startY);
+	if( kind === undefined || kind === 'none' || !length)
+		return [];
+	const size = Math.max( ARROWHEAD_SIZE * lineWidth, 8);
+	if( kind === 'dot')
+		return [ `<circle${ attributes( { cx: endX, cy: endY, r: size / 3, fill: color})}/>`];
+	const [ dx, dy] = [ ( endX - startX) / length * size, ( endY - startY) / length * size];
+	const points = [
+		[ endX - dx - dy / 2, endY - dy + dx / 2],
+		[ endX, endY],
+		[ endX - dx + dy / 2, endY - dy - dx / 2],
+	].map( point => point.map( number).join( ',')).join( ' ');
+	return kind === 'arrow'
+			? [ `<polygon${ attributes( { points, fill: color})}/>`]
+			: [ `<polyline${ attributes( { points, fill: 'none', stroke: color, 'stroke-width': lineWidth})}/>`];
+}
+
+// attributes with undefined values are left out
+function attributes( values) {
+	return Object.entries( values)
+			.filter( ( [ , value]) => value !== undefined)
+			.map( ( [ name, value]) => ` ${ name}="${ escapeXml( typeof value === 'number'? number( value): String( value))}"`)
+			.join( '');
+}
+
+// rounded, for stable output without floating point noise
+function number( value) {
+	return String( Math.round( value * 1000) / 1000);
+}
+
+// for texts and attribute values
+export function escapeXml( string) {
+	return string.replace( /[&<>"]/g, match => {
+		switch( match) {
+			case '&': return '&amp;';
+			case '<': return '&lt;';
+			case '>': return '&gt;';
+			case '"': return '&quot;';
+		}
+	});
+}
@@ -0,0 +1,156 @@
+import { SceneState} from './scene.js';
+
+/**
+ * Lays the transitions of a presentation out on a time axis in milliseconds and samples the scene at any point of it.
+ * Every transition starts as soon as the one before it ends, manually triggered ones included, which is how a
+ * presentation plays when exported; startOf() tells where each step begins for previewing a single step. A transition
+ * lasts as long as its duration property, or no time at all if it has none.
+ */
+export class Timeline {
+
+	#entries = []; // { transition, stepIndex, start, end}
+	#stepStarts = [];
+	#duration = 0;
+
+	constructor( presentation) {
+		const steps = presentation.steps();
+		for( let stepIndex = 0; stepIndex < steps.length; stepIndex++) {
+			this.#stepStarts.push( this.#duration);
+			for( const transition of steps[ stepIndex].transitions) {
+				const start = this.#duration;
+				this.#duration += durationOf( transition);
+				this.#entries.push( { transition, stepIndex, start, end: this.#duration});
+			}
+		}
+	}
+
+	get duration() {
+		return this.#duration;
+	}
+
+	get stepCount() {
+		return this.#stepStarts.length;
+	}
+
+	startOf( stepIndex) {
+		if( !Number.isInteger( stepIndex) || stepIndex < 0 || stepIndex >= this.#stepStarts.length)
+			throw new Error( `step index out of range: ${ stepIndex}`);
+		return this.#stepStarts[ stepIndex];
+	}
+
+	stepAt( time) {
+		let stepIndex = -1;
+		for( let i = 0; i < this.#stepStarts.length && this.#stepStarts[ i] <= time; i++)
+			stepIndex = i;
+		return stepIndex;
+	}
+
+	sample( time) {
+		if( typeof time !== 'number' || Number.isNaN( time))
+			throw new Error( `not a time: ${ time}`);
+		const state = new SceneState();
+		for( const { transition, start, end} of this.#entries) {
+			if( time < start)
+				break;
+			transition.prepare( state);
+			if( time < end) {
+				const endState = state.copy();
+				transition.apply( endState);
+				return state.interpolate( endState, easingOf( transition)( ( time - start) / ( end - start)));
+			}
+			transition.apply( state);
+		}
+		return state.snapshot();
+	}
+
+	/**
+	 * Samples the whole timeline at a fixed frame rate, from time 0 to the end inclusive. Frame times are computed from
+	 * the frame index, so that no rounding error accumulates.
+	 */
+	*frames( frameRate) {
+		if( !( typeof frameRate === 'number' && Number.isFinite( frameRate) && frameRate > 0))
+			throw new Error( `not a frame rate: ${ frameRate}`);
+		const count = Math.floor( this.#duration * frameRate / 1000);
+		for( let i = 0; i <= count; i++) {
+			const time = i * 1000 / frameRate;
+			yield { time, scene: this.sample( time)};
+		}
+	}
+}
+
+const CURVES = Object.freeze( {
+	'ease': [ 0.25, 0.1, 0.25, 1],
+	'ease-in': [ 0.42, 0, 1, 1],
+	'ease-out': [ 0, 0, 0.58, 1],
+	'ease-in-out': [ 0.42, 0, 0.58, 1],
+});
+
+/**
+ * Returns the function mapping the linear progress of a transition, from 0 to 1, to the eased one. The named curves are
+ * those of CSS, cubic-bezier takes its control points from the easing-curve property.
+ */
+export function easing( mode, curve = undefined) {
+	switch( mode) {
+		case undefined:
+		case 'linear':
+			return progress => progress;
+		case 'step-start':
+			return progress => 1;
+		case 'step-end':
+			return progress => progress < 1? 0: 1;
+		case 'cubic-bezier':
+			if( curve === undefined)
+				throw new Error( 'easing-curve is required for cubic-bezier');
+			return cubicBezier( ...curve);
+		default:
+			if( !Object.hasOwn( CURVES, mode))
+				throw new Error( `unknown easing: ${ mode}`);
+			return cubicBezier( ...CURVES[ mode]);
+	}
+}
+
+function cubicBezier( x1, y1, x2, y2) {
+	if( !( x1 >= 0 && x1 <= 1 && x2 >= 0 && x2 <= 1))
+		throw new Error( `x coordinates of a cubic bezier easing must be within [0, 1]: ${ x1}, ${ x2}`);
+	// B(t) = 3(1-t)^2 t P1 + 3(1-t) t^2 P2 + t^3, with P0 = (0, 0) and P3 = (1, 1)
+	const bezier = ( p1, p2, t) => ( ( ( 1 - 3 * p2 + 3 * p1) * t + ( 3 * p2 - 6 * p1)) * t + 3 * p1) * t;
+	const slope = ( p1, p2, t) => ( 3 * ( 1 - 3 * p2 + 3 * p1) * t + 2 * ( 3 * p2 - 6 * p1)) * t + 3 * p1;
+	return progress => {
+		if( progress <= 0 || progress >= 1)
+			return progress <= 0? 0: 1;
+		let t = progress; // newton's method first, bisection if it does not converge
+		for( let i = 0; i < 8; i++) {
+			const error = bezier( x1, x2, t) - progress;
+			if( Math.abs( error) < 1e-7)
+				return bezier( y1, y2, t);
+			const d = slope( x1, x2, t);
+			if( Math.abs( d) < 1e-6)
+				break;
+			t -= error / d;
+		}
+		let low = 0;
+		let high = 1;
+		t = progress;
+		for( let i = 0; i < 64 && high - low > 1e-7; i++) {
+			if( bezier( x1, x2, t) < progress)
+				low = t;
+			else
+				high = t;
+			t = ( low + high) / 2;
+		}
+		return bezier( y1, y2, t);
+	};
+}
+
+function easingOf( transition) {
+	const space = transition.propertySpace;
+	return easing(
+			space.getType( 'easing') === undefined? undefined: transition.get( 'easing'),
+			space.getType( 'easing-curve') === undefined? undefined: transition.get( 'easing-curve'));
+}
+
+function durationOf( transition) {
+	if( transition.propertySpace.getType( 'duration') === undefined)
+		return 0;
+	return transition.get( 'duration') || 0;
+}
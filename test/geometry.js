@@ -0,0 +1,85 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import { Camera, Codec, SceneEvaluator, Timeline, toScreen} from '@arcticnotes/keyframe-core';
+
+const round = value => Math.round( value * 1e9) / 1e9 + 0; // + 0 for no -0
+const xy = point => [ round( point.x), round( point.y)];
+
+TEST( 'orthographic camera', () => {
+	const presentation = new Codec().parse( [
+		'Screen appears',
+		'\tx := 100',
+		'\twidth := 400',
+		'\theight := 200',
+		'box:Rectangle appears',
+		'\tx := 300',
+		'\twidth := 100',
+		'\theight := 50',
+		'tilted:Rectangle appears',
+		'\twidth := 100',
+		'\theight := 50',
+		'\troll := 90',
+		'far:Rectangle appears',
+		'\tx := 1000',
+		'\twidth := 10',
+		'\theight := 10',
+	].join( '\n'));
+	const [ screen] = presentation.views();
+	const [ box, tilted, far] = presentation.entities();
+	const camera = new Camera( screen);
+	ASSERT.equal( camera.projection, 'orthographic');
+	ASSERT.deepEqual( camera.viewMatrix, [ 1, 0, 0, -100, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+
+	const projected = camera.projectEntity( box);
+	ASSERT.deepEqual( projected.corners.map( xy), [ [ 0.75, -0.25], [ 1.25, -0.25], [ 1.25, 0.25], [ 0.75, 0.25]]);
+	ASSERT.deepEqual( [ projected.behind, projected.clipped, projected.hidden], [ false, true, false]);
+	ASSERT.deepEqual( toScreen( projected.corners[ 0], 400, 200), { x: 350, y: 75});
+	ASSERT.deepEqual( camera.projectEntity( tilted).corners.map( xy), [ [ -0.375, -0.5], [ -0.375, 0.5], [ -0.625, 0.5], [ -0.625, -0.5]]);
+	ASSERT.equal( camera.projectEntity( far).hidden, true);
+	ASSERT.throws( () => new Camera( new Codec().parse( 'Screen appears').views()[ 0]), /width and height required/);
+});
+
+TEST( 'perspective camera', () => {
+	const presentation = new Codec().parse( [
+		'screen:Screen appears',
+		'\tz := -100',
+		'\tprojection := \'perspective\'',
+		'\th-fov := 90',
+		'\tv-fov := 90',
+		'\tduration @ 1s',
+		'box:Rectangle appears',
+		'\twidth := 100',
+		'\theight := 100',
+		'near:Rectangle appears',
+		'\tz := -50',
+		'\twidth := 90',
+		'\theight := 90',
+		'behind:Rectangle appears',
+		'\tz := -200',
+		'\twidth := 100',
+		'\theight := 100',
+		'screen changes',
+		'\tz = -200',
+		'\tyaw = 90',
+	].join( '\n'));
+	const [ screen] = presentation.views();
+	const [ box, near, behind] = presentation.entities();
+	const scene = new SceneEvaluator( presentation).evaluate( 3);
+	const camera = new Camera( screen, scene);
+	ASSERT.equal( camera.projection, 'perspective');
+	const projected = camera.projectEntity( box, scene);
+	ASSERT.deepEqual( projected.corners.map( xy), [ [ -0.5, -0.5], [ 0.5, -0.5], [ 0.5, 0.5], [ -0.5, 0.5]]);
+	ASSERT.equal( projected.corners[ 0].depth, 100);
+	ASSERT.deepEqual( camera.projectEntity( near, scene).corners.map( xy), [ [ -0.9, -0.9], [ 0.9, -0.9], [ 0.9, 0.9], [ -0.9, 0.9]]);
+	ASSERT.equal( camera.projectEntity( near, scene).clipped, false);
+	const hidden = camera.projectEntity( behind, scene);
+	ASSERT.deepEqual( [ hidden.behind, hidden.clipped, hidden.hidden], [ true, true, true]);
+
+	// moved back and turned right, looking towards +x
+	const turned = new Camera( screen, new Timeline( presentation).sample( 1000));
+	ASSERT.deepEqual( xy( turned.project( [ 100, 0, -200])), [ 0, 0]);
+	ASSERT.deepEqual( xy( turned.project( [ 100, 0, -100])), [ -1, 0]);
+	ASSERT.equal( turned.project( [ -100, 0, -200]).behind, true);
+	ASSERT.throws( () => new Camera( new Codec().parse( 'Screen appears\n\tprojection := \'perspective\'').views()[ 0]),
+			/h-fov and v-fov required/);
+});
@@ -0,0 +1,95 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import { Codec, History} from '@arcticnotes/keyframe-core';
+
+const SCRIPT = [
+	'text:EntityPreset',
+	'\tfont-size := 16',
+	'heading:EntityPreset',
+	'\tfont-size := 24',
+	'Screen appears',
+	'\twidth := 400',
+	'\theight := 300',
+	'a:Rectangle[text] appears',
+	'\tx := 10',
+	'b:Rectangle fades-in',
+	'a moves-to',
+	'\tx = 50',
+].join( '\n');
+
+TEST( 'undo and redo', () => {
+	const codec = new Codec();
+	const presentation = codec.parse( SCRIPT);
+	const history = new History( presentation, codec);
+	const [ text, heading] = presentation.presets();
+	const [ , a, b] = presentation.subjects();
+	const [ , appearsA, fadesInB, movesToA] = presentation.transitions();
+	const states = [ codec.stringify( presentation)];
+	const change = action => {
+		action();
+		states.push( codec.stringify( presentation));
+	};
+
+	change( () => history.set( a, 'x', undefined));
+	change( () => history.set( presentation.defaultEntityPreset, 'width', 100));
+	change( () => history.rebase( a, [ text, heading]));
+	change( () => history.moveTransition( movesToA, 1));
+	change( () => history.retarget( fadesInB, a));
+	change( () => history.batch( () => {
+		history.removeTransition( appearsA);
+		history.removeSubject( b);
+	}));
+	change( () => history.addPreset( new text.constructor( text.propertySpace, [ text], 'caption'), 0));
+	ASSERT.equal( a.get( 'font-size'), 24);
+	ASSERT.equal( presentation.get( 'b'), undefined);
+	ASSERT.throws( () => history.removePreset( text), /preset inherited by/);
+
+	for( let i = states.length - 2; i >= 0; i--) {
+		ASSERT.ok( history.undo());
+		ASSERT.equal( codec.stringify( presentation), states[ i]);
+	}
+	ASSERT.equal( history.undo(), false);
+	ASSERT.equal( presentation.get( 'b'), b); // the same objects are back
+	ASSERT.deepEqual( presentation.transitions(), [ presentation.transitions()[ 0], appearsA, fadesInB, movesToA]);
+
+	// survives a reload of both the presentation and the history
+	for( let i = 1; i < states.length; i++) {
+		const reloaded = codec.parse( codec.stringify( presentation));
+		const reloadedHistory = History.fromJSON( JSON.parse( JSON.stringify( history.toJSON())), reloaded, codec);
+		ASSERT.ok( reloadedHistory.redo());
+		ASSERT.equal( codec.stringify( reloaded), states[ i]);
+		ASSERT.ok( history.redo());
+		ASSERT.equal( codec.stringify( presentation), states[ i]);
+	}
+	ASSERT.equal( history.canRedo, false);
+});
+
+TEST( 'batches and merging', () => {
+	const codec = new Codec();
+	const presentation = codec.parse( SCRIPT);
+	const history = new History( presentation, codec);
+	const a = presentation.get( 'a');
+
+	// a drag, merged into one command
+	for( let x = 11; x <= 20; x++)
+		history.batch( () => {
+			history.set( a, 'x', x);
+			history.set( a, 'y', x * 2);
+		}, 'drag-1');
+	history.batch( () => history.set( a, 'x', 30), 'drag-2');
+	ASSERT.deepEqual( history.toJSON().done.map( command => command.operations.length), [ 2, 1]);
+	history.undo();
+	ASSERT.equal( a.get( 'x'), 20);
+	history.undo();
+	ASSERT.deepEqual( [ a.get( 'x'), a.get( 'y')], [ 10, undefined]);
+	ASSERT.equal( history.canUndo, false);
+
+	// all or nothing
+	ASSERT.throws( () => history.batch( () => {
+		history.set( a, 'x', 40);
+		history.removeSubject( a); // targeted by transitions
+	}), /subject targeted by transitions/);
+	ASSERT.equal( a.get( 'x'), 10);
+	ASSERT.equal( history.canUndo, false);
+	ASSERT.equal( history.canRedo, true); // a failed batch leaves the redo list alone
+});
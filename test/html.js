@@ -0,0 +1,105 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import VM from 'node:vm';
+import { Codec, renderHtml} from '@arcticnotes/keyframe-core';
+
+// runs the player of an exported file in a minimal stand-in for the browser
+function load( html, hash) {
+	const scripts = [ ...html.matchAll( /<script([^>]*)>([\s\S]*?)<\/script>/g)];
+	const listeners = {};
+	const frames = [];
+	const stage = { innerHTML: '', addEventListener: ( type, listener) => listeners[ 'stage-' + type] = listener};
+	const context = {
+		location: { hash},
+		document: {
+			getElementById: id => id === 'stage'? stage: { textContent: scripts[ 0][ 2]},
+			addEventListener: ( type, listener) => listeners[ type] = listener,
+		},
+		window: { addEventListener: ( type, listener) => listeners[ type] = listener},
+		history: { replaceState: ( state, title, url) => context.location.hash = url},
+		requestAnimationFrame: callback => frames.push( callback),
+		cancelAnimationFrame: () => frames.length = 0,
+	};
+	VM.runInNewContext( scripts[ 1][ 2], context);
+	return {
+		stage,
+		get hash() {
+			return context.location.hash;
+		},
+		press: key => listeners.keydown( { key, preventDefault: () => {}}),
+		frame: time => frames.splice( 0).forEach( callback => callback( time)),
+	};
+}
+
+TEST( 'html player', () => {
+	const presentation = new Codec().parse( [
+		'Screen appears',
+		'\twidth := 400',
+		'\theight := 300',
+		'box:Rectangle fades-in',
+		'\twidth := 100',
+		'\theight := 100',
+		'\tduration @ 1s',
+		'label:Rectangle appears auto',
+		'\ttext := \'</script>\'',
+	].join( '\n'));
+	const html = renderHtml( presentation, 'Deck <1>', 10);
+	ASSERT.match( html, /<title>Deck &lt;1&gt;<\/title>/);
+	ASSERT.equal( html.match( /<\/script>/g).length, 2);
+
+	const player = load( html, '');
+	ASSERT.equal( player.hash, '#0');
+	ASSERT.equal( player.stage.innerHTML, '');
+	player.press( 'ArrowRight');
+	player.frame( 0);
+	ASSERT.match( player.stage.innerHTML, /^<svg /);
+	player.press( 'ArrowRight');
+	player.frame( 1000);
+	player.frame( 1500);
+	ASSERT.match( player.stage.innerHTML, /<g id="box" opacity="0.5">/);
+	player.frame( 2000);
+	ASSERT.match( player.stage.innerHTML, /<g id="box">[\s\S]*&lt;\/script&gt;/); // the auto transition is played too
+	ASSERT.equal( player.hash, '#2');
+	player.press( 'ArrowLeft');
+	ASSERT.equal( player.hash, '#1');
+	ASSERT.doesNotMatch( player.stage.innerHTML, /box/);
+
+	ASSERT.match( load( html, '#2').stage.innerHTML, /label/);
+});
+
+TEST( 'html keyframes', () => {
+	const presentation = new Codec().parse( [
+		'Screen appears auto',
+		'\twidth := 400',
+		'\theight := 300',
+		'box:Rectangle appears auto',
+		'\twidth := 100',
+		'\theight := 100',
+		'\tx := 0',
+		'\tfill-color := #000000',
+		'box changes',
+		'\tx = 100',
+		'\tfill-color = #ff0000',
+		'\tduration @ 10s',
+		'\teasing @ \'ease-in-out\'',
+	].join( '\n'));
+	const html = renderHtml( presentation, 'Deck', 30);
+	const deck = JSON.parse( /<script type="application\/json" id="deck">(.*)<\/script>/.exec( html)[ 1]);
+	ASSERT.equal( deck.steps[ 1].frames.length, 300);
+	ASSERT.ok( deck.svgs.length < 10); // keyframes only
+
+	const player = load( html, '');
+	player.frame( 0);
+	ASSERT.match( player.stage.innerHTML, /<g id="box">/); // the first step played as opened
+	player.frame( 100);
+	ASSERT.equal( player.hash, '#1');
+	player.press( 'ArrowRight');
+	player.frame( 1000);
+	player.frame( 3500);
+	const [ , x, red] = /<rect x="(-[0-9.]+)" [^>]* fill="#([0-9a-f]{2})0000"/.exec( player.stage.innerHTML);
+	ASSERT.ok( Math.abs( ( Number( x) + 50) / 100 * 255 - Number.parseInt( red, 16)) <= 1); // interpolated together
+	player.frame( 6000);
+	ASSERT.match( player.stage.innerHTML, /<rect x="0" y="-50" width="100" height="100" fill="#800000"\/>/);
+	player.frame( 12000);
+	ASSERT.match( player.stage.innerHTML, /<rect x="50" [^>]* fill="#ff0000"\/>/);
+});
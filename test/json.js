@@ -0,0 +1,135 @@
+import ASSERT from 'node:assert/strict';
+import FS from 'node:fs';
+import PATH from 'node:path';
+import TEST from 'node:test';
+import {
+	Codec, JSON_VERSION,
+	FLOAT_TYPE, COLOR_TYPE, TupleType, ListType, DictionaryType, PropertySpace, Entity,
+} from '@arcticnotes/keyframe-core';
+
+const SCHEMA = JSON.parse( FS.readFileSync( PATH.join( import.meta.dirname, '..', 'schema', `presentation-${ JSON_VERSION}.json`), 'utf-8'));
+
+// checks a value against the subset of JSON Schema the schema uses, returning the pointers of what fails
+function validate( schema, value, pointer = '') {
+	if( schema.$ref !== undefined)
+		return validate( schema.$ref.substring( 2).split( '/').reduce( ( object, key) => object[ key], SCHEMA), value, pointer);
+	const kind = Array.isArray( value)? 'array': value === null? 'null': Number.isInteger( value) && schema.type === 'integer'? 'integer'
+			: typeof value;
+	if( schema.type !== undefined && schema.type !== kind)
+		return [ pointer];
+	if( 'const' in schema && schema.const !== value || schema.pattern !== undefined && !new RegExp( schema.pattern).test( value))
+		return [ pointer];
+	if( schema.anyOf !== undefined)
+		return schema.anyOf.some( option => !validate( option, value, pointer).length)? []: [ pointer];
+	const failures = [];
+	if( kind === 'array' && schema.items !== undefined)
+		value.forEach( ( item, i) => failures.push( ...validate( schema.items, item, `${ pointer}/${ i}`)));
+	if( kind === 'object') {
+		for( const name of schema.required || [])
+			if( !( name in value))
+				failures.push( `${ pointer}/${ name}`);
+		for( const [ name, item] of Object.entries( value)) {
+			const itemSchema = ( schema.properties || {})[ name] || schema.additionalProperties;
+			if( itemSchema === false)
+				failures.push( `${ pointer}/${ name}`);
+			else if( itemSchema !== undefined)
+				failures.push( ...validate( itemSchema, item, `${ pointer}/${ name}`));
+		}
+	}
+	return failures;
+}
+
+TEST( 'json round trip', async() => {
+	const codec = new Codec();
+	for( const file of [ 'example.ank', 'imports/deck.ank']) {
+		const presentation = await codec.parseFile( PATH.join( import.meta.dirname, file));
+		const json = JSON.parse( JSON.stringify( codec.writeJSON( presentation)));
+		ASSERT.deepEqual( validate( SCHEMA, json), []);
+		const copy = codec.readJSON( json);
+		const written = await codec.diagnoseFile( PATH.join( import.meta.dirname, file), codec.stringify( copy));
+		ASSERT.deepEqual( written.diagnostics, []);
+		ASSERT.deepEqual( codec.writeJSON( written.presentation), json); // constants and expressions evaluated, not in JSON
+		ASSERT.deepEqual( codec.writeJSON( copy), json);
+	}
+	ASSERT.equal( JSON.stringify( { codec}), '{"codec":{}}');
+
+	// what is inherited stays inherited, from the imported presets
+	const deck = codec.readJSON( codec.writeJSON( await codec.parseFile( PATH.join( import.meta.dirname, 'imports', 'deck.ank'))));
+	const headline = deck.get( 'headline');
+	ASSERT.equal( headline.getLocal( 'font-size'), undefined);
+	ASSERT.equal( headline.get( 'font-size'), 24);
+	ASSERT.equal( headline.origin( 'font-size'), deck.imports()[ 0].presentation.imports()[ 0].presentation.get( 'heading'));
+	ASSERT.equal( headline.inherited[ 0], deck.get( 'house.title'));
+	ASSERT.equal( deck.transitions()[ 2].get( 'duration'), 2000);
+});
+
+TEST( 'json values', () => {
+	const SHAPE_PROPERTIES = new PropertySpace( [
+		[ 'x', FLOAT_TYPE],
+		[ 'path', ListType.of( TupleType.of( FLOAT_TYPE, FLOAT_TYPE))],
+		[ 'palette', DictionaryType.of( COLOR_TYPE)],
+	]);
+	class Shape extends Entity {
+		constructor( inherited, name) {
+			super( SHAPE_PROPERTIES, inherited, name);
+		}
+	}
+	const codec = new Codec();
+	codec.extendSubjectType( 'com.example.Shape', Shape);
+	const presentation = codec.parse( [
+		'Shape := com.example.Shape',
+		'Screen appears',
+		'\tbackground := #ABC',
+		'Shape appears auto',
+		'\tpath := [(0, 1), (2.5, -3)]',
+		'\tpalette := {ink: #000000, \'paper white\': #ffffff}',
+		'\teasing @ \'cubic-bezier\'',
+		'\teasing-curve @ (0.4, 0, 0.2, 1)',
+		'box:Shape',
+		'box moves-to',
+		'\tx = 10',
+	].join( '\n'));
+	const json = codec.writeJSON( presentation);
+	ASSERT.deepEqual( validate( SCHEMA, json), []);
+	ASSERT.deepEqual( json.subjects.map( subject => subject.id), [ undefined, undefined, 'box']);
+	ASSERT.deepEqual( json.aliases, { Shape: 'com.example.Shape'});
+	ASSERT.equal( json.subjects[ 1].type, 'com.example.Shape');
+	ASSERT.deepEqual( json.subjects[ 0].properties, { background: '#aabbcc'});
+	ASSERT.deepEqual( json.subjects[ 1].properties, {
+		path: [ [ 0, 1], [ 2.5, -3]],
+		palette: [ [ 'ink', '#000000'], [ 'paper white', '#ffffff']],
+	});
+	ASSERT.deepEqual( json.transitions[ 1], {
+		target: 1,
+		type: 'appears',
+		auto: true,
+		inherits: [],
+		properties: { easing: 'cubic-bezier', 'easing-curve': [ 0.4, 0, 0.2, 1]},
+		parameters: {},
+	});
+	ASSERT.deepEqual( json.transitions[ 2].parameters, { x: 10});
+	ASSERT.equal( codec.stringify( codec.readJSON( json)), codec.stringify( presentation));
+});
+
+TEST( 'json errors', () => {
+	const codec = new Codec();
+	const json = codec.writeJSON( codec.parse( [
+		'text:EntityPreset',
+		'box:Rectangle[text] appears',
+		'\tfill-color := #ff0000',
+	].join( '\n')));
+	const broken = ( edit, message) => {
+		const copy = structuredClone( json);
+		edit( copy);
+		ASSERT.throws( () => codec.readJSON( copy), { message});
+	};
+	broken( copy => copy.version = 2, '/version: unsupported version: 2');
+	broken( copy => copy.subjects[ 0].properties[ 'fill-color'] = 'reddish', '/subjects/0/properties/fill-color: illegal color code: reddish');
+	broken( copy => copy.subjects[ 0].properties.depth = 1, '/subjects/0/properties/depth: property name undefined: depth');
+	broken( copy => copy.subjects[ 0].inherits = [ 'title'], '/subjects/0/inherits/0: id undefined: title');
+	broken( copy => copy.subjects[ 0].type = 'EntityPreset', '/subjects/0: not a subject type: EntityPreset');
+	broken( copy => copy.transitions[ 0].target = 1, '/transitions/0/target: not a subject index: 1');
+	broken( copy => copy.transitions[ 0].parameters.x = 1, '/transitions/0/parameters/x: unsupported parameter: x');
+	broken( copy => copy.imports.push( { path: 'other.ank', presentation: { ...json, version: 0}}),
+			'/imports/0/presentation/version: unsupported version: 0');
+});
@@ -0,0 +1,162 @@
+import ASSERT from 'node:assert/strict';
+import PATH from 'node:path';
+import { PassThrough} from 'node:stream';
+import TEST from 'node:test';
+import { pathToFileURL} from 'node:url';
+import { Codec, LanguageServer, runLanguageServer} from '@arcticnotes/keyframe-core';
+
+const SCRIPT = [
+	'EntityPreset',
+	'\twidth := 144',
+	'',
+	'text:EntityPreset',
+	'\tfont-size := 16',
+	'',
+	'Screen appears',
+	'',
+	'box:Rectangle[text] apears',
+	'',
+	'label:Rectangle[text] appears',
+	'\tfont-size := 20',
+	'\t',
+	'label moves-to',
+	'\tx = 10',
+].join( '\n');
+
+async function open( uri, text, codec = new Codec()) {
+	const messages = [];
+	const server = new LanguageServer( message => messages.push( message), codec);
+	let id = 0;
+	const request = async( method, params) => {
+		await server.handle( { jsonrpc: '2.0', id: ++id, method, params});
+		return messages.find( message => message.id === id);
+	};
+	await request( 'initialize', { capabilities: {}});
+	await server.handle( { jsonrpc: '2.0', method: 'textDocument/didOpen', params: {
+		textDocument: { uri, languageId: 'keyframe', version: 1, text},
+	}});
+	return { server, messages, request};
+}
+
+TEST( 'language server', async() => {
+	const uri = 'untitled:deck.ank';
+	const { server, messages, request} = await open( uri, SCRIPT);
+	const published = messages.find( message => message.method === 'textDocument/publishDiagnostics');
+	ASSERT.deepEqual( published.params.diagnostics, [ {
+		range: { start: { line: 8, character: 20}, end: { line: 8, character: 26}},
+		severity: 1,
+		code: 'unknown-type',
+		source: 'keyframe',
+		message: 'unknown transition type: apears',
+	}]);
+
+	const complete = async( line, character) => ( await request( 'textDocument/completion', {
+		textDocument: { uri}, position: { line, character},
+	})).result.map( item => item.label);
+	ASSERT.ok( ( await complete( 12, 1)).includes( 'font-size'));
+	ASSERT.ok( ( await complete( 12, 1)).includes( 'duration'));
+	ASSERT.deepEqual( await complete( 10, 17), [ 'text']);
+	ASSERT.ok( ( await complete( 10, 6)).includes( 'Rectangle'));
+	ASSERT.ok( ( await complete( 10, 22)).includes( 'appears'));
+
+	const hover = async( line, character) => ( await request( 'textDocument/hover', {
+		textDocument: { uri}, position: { line, character},
+	})).result;
+	ASSERT.equal( ( await hover( 11, 3)).contents.value, '**font-size**: positive-length\n\n`20`');
+	ASSERT.equal( ( await hover( 1, 3)).contents.value, '**width**: positive-length\n\n`144`');
+	ASSERT.equal( ( await hover( 14, 1)).contents.value, '**x**: length\n\n`10`');
+	ASSERT.equal( await hover( 11, 20), null);
+
+	const define = async( line, character) => ( await request( 'textDocument/definition', {
+		textDocument: { uri}, position: { line, character},
+	})).result;
+	ASSERT.deepEqual( await define( 10, 17), { uri, range: { start: { line: 3, character: 0}, end: { line: 3, character: 17}}});
+	ASSERT.deepEqual( ( await define( 13, 2)).range.start, { line: 10, character: 0});
+
+	// positions out of the document, as of requests sent before changes
+	ASSERT.deepEqual( await complete( 99, 0), []);
+	ASSERT.equal( await hover( 14, 99), null);
+	ASSERT.equal( await define( -1, 0), null);
+
+	messages.length = 0;
+	await server.handle( { jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+		textDocument: { uri, version: 2},
+		contentChanges: [ { range: { start: { line: 8, character: 20}, end: { line: 8, character: 26}}, text: 'appears'}],
+	}});
+	ASSERT.deepEqual( messages[ 0].params.diagnostics, []);
+	ASSERT.equal( ( await hover( 11, 3)).contents.value, '**font-size**: positive-length\n\n`20`');
+
+	ASSERT.equal( ( await request( 'textDocument/unknown', {})).error.code, -32601);
+});
+
+TEST( 'language server when parsing incrementally fails', async() => {
+	const uri = 'untitled:deck.ank';
+	let failures = 1;
+	const codec = new class extends Codec {
+		reparse( previous, edit) {
+			if( failures-- > 0)
+				throw new Error( 'a bug');
+			return super.reparse( previous, edit);
+		}
+	}();
+	const { server, messages, request} = await open( uri, 'Screen appears\n', codec);
+	const type = async( line, character, text) => {
+		messages.length = 0;
+		await server.handle( { jsonrpc: '2.0', method: 'textDocument/didChange', params: {
+			textDocument: { uri},
+			contentChanges: [ { range: { start: { line, character}, end: { line, character}}, text}],
+		}});
+		return messages;
+	};
+	ASSERT.match( ( await type( 1, 0, 'B'))[ 0].params.message, /a bug/); // logged, the whole text parsed instead
+	for( const [ character, text] of [ ...'ox := Rectangle'].entries())
+		await type( 1, character + 1, text);
+	ASSERT.deepEqual( messages.map( message => [ message.method, message.params.diagnostics]),
+			[ [ 'textDocument/publishDiagnostics', []]]);
+	await type( 1, 16, '\nbox:Box appears\n\twidth := -1');
+	ASSERT.deepEqual( messages[ 0].params.diagnostics.map( diagnostic => diagnostic.range.start), [ { line: 3, character: 10}]);
+	const hover = await request( 'textDocument/hover', { textDocument: { uri}, position: { line: 3, character: 2}});
+	ASSERT.equal( hover.result.contents.value, '**width**: positive-length\n\nnot set'); // the line with the error
+});
+
+TEST( 'language server with imports', async() => {
+	const file = PATH.join( import.meta.dirname, 'imports', 'deck.ank');
+	const uri = pathToFileURL( file).href;
+	const text = [
+		'import \'house.ank\' as house',
+		'',
+		'label:Rectangle[house.title] appears',
+		'\tfill-color := #ffffff',
+		'\tfont-size := 20',
+	].join( '\n');
+	const { messages, request} = await open( uri, text);
+	ASSERT.deepEqual( messages.find( message => message.method === 'textDocument/publishDiagnostics').params.diagnostics, []);
+	const hover = await request( 'textDocument/hover', { textDocument: { uri}, position: { line: 4, character: 1}});
+	ASSERT.equal( hover.result.contents.value, '**font-size**: positive-length\n\n`20`');
+	const definition = await request( 'textDocument/definition', { textDocument: { uri}, position: { line: 2, character: 25}});
+	ASSERT.deepEqual( definition.result, {
+		uri: pathToFileURL( PATH.join( import.meta.dirname, 'imports', 'house.ank')).href,
+		range: { start: { line: 2, character: 0}, end: { line: 2, character: 27}},
+	});
+	const local = await request( 'textDocument/definition', { textDocument: { uri}, position: { line: 2, character: 2}});
+	ASSERT.equal( local.result.range.start.line, 2); // in this file
+});
+
+TEST( 'language server over streams', async() => {
+	const input = new PassThrough();
+	const output = new PassThrough();
+	const exitCode = runLanguageServer( input, output);
+	const send = message => {
+		const body = Buffer.from( JSON.stringify( message), 'utf-8');
+		input.write( `Content-Length: ${ body.length}\r\n\r\n`);
+		input.write( body);
+	};
+	send( { jsonrpc: '2.0', id: 1, method: 'initialize', params: { capabilities: {}}});
+	send( { jsonrpc: '2.0', id: 2, method: 'shutdown'});
+	send( { jsonrpc: '2.0', method: 'exit'});
+	ASSERT.equal( await exitCode, 0);
+	const received = output.read().toString( 'utf-8');
+	const bodies = received.split( /Content-Length: [0-9]+\r\n\r\n/).filter( body => body).map( body => JSON.parse( body));
+	ASSERT.deepEqual( bodies.map( body => body.id), [ 1, 2]);
+	ASSERT.equal( bodies[ 0].result.capabilities.hoverProvider, true);
+});
@@ -0,0 +1,65 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import { Codec, LINT_RULES, lint} from '@arcticnotes/keyframe-core';
+
+const SCRIPT = [
+	'Box := Rectangle',
+	'Card := Rectangle',
+	'',
+	'Screen appears',
+	'\tprojection := \'perspective\'',
+	'\twidth := 800',
+	'\th-fov := 60',
+	'',
+	'text:EntityPreset',
+	'\tfont-size := 16',
+	'unused:EntityPreset',
+	'\tfont-size := 20',
+	'',
+	'a:Box[text] appears',
+	'\tfont-size := 16',
+	'\tx := 10',
+	'hidden:Rectangle',
+	'\tx := 5',
+	'',
+	'# the end',
+].join( '\n');
+
+TEST( 'lint', () => {
+	const codec = new Codec();
+	const parsed = codec.diagnose( SCRIPT);
+	const findings = lint( parsed);
+	ASSERT.deepEqual( findings.map( ( { code, lineIndex, columnIndex, problem}) => [ code, lineIndex, columnIndex, problem]), [
+		[ 'unused-alias', 1, 0, 'alias never used: Card'],
+		[ 'ineffective-property', 5, 1, 'width is effective only if projection is orthographic'],
+		[ 'unused-preset', 10, 0, 'preset never used: unused'],
+		[ 'redundant-property', 14, 1, 'font-size set to the value the presets give'],
+		[ 'unreachable-entity', 16, 0, 'no transition, never appears: hidden'],
+	]);
+	ASSERT.ok( findings.every( finding => finding.severity === 'warning'));
+
+	// the fixes are edits reparse() takes, which recycles the objects parsed before
+	const fixed = index => {
+		const parsed = codec.diagnose( SCRIPT);
+		return codec.reparse( parsed, lint( parsed)[ index].fix.edit).script.split( '\n');
+	};
+	ASSERT.deepEqual( fixed( 0).slice( 0, 2), [ 'Box := Rectangle', '']);
+	ASSERT.deepEqual( fixed( 2).slice( 8, 11), [ 'text:EntityPreset', '\tfont-size := 16', '']);
+	ASSERT.deepEqual( fixed( 3).slice( 13, 15), [ 'a:Box[text] appears', '\tx := 10']);
+	ASSERT.deepEqual( fixed( 4).slice( 13), [ 'a:Box[text] appears', '\tfont-size := 16', '\tx := 10', '', '# the end']);
+	let result = codec.diagnose( SCRIPT);
+	for( let findings = lint( result); findings.length; findings = lint( result))
+		result = codec.reparse( result, findings[ 0].fix.edit);
+	ASSERT.deepEqual( result.diagnostics, []);
+	ASSERT.equal( result.presentation.subjects().length, 2);
+
+	ASSERT.deepEqual( lint( codec.diagnose( SCRIPT), { 'unused-alias': 'off', 'unreachable-entity': 'error'}).map( ( { code, severity}) =>
+			[ code, severity]), [
+		[ 'ineffective-property', 'warning'],
+		[ 'unused-preset', 'warning'],
+		[ 'redundant-property', 'warning'],
+		[ 'unreachable-entity', 'error'],
+	]);
+	ASSERT.throws( () => lint( codec.diagnose( SCRIPT), { typo: 'off'}), { message: 'unknown lint rule: typo'});
+	ASSERT.equal( LINT_RULES.length, 5);
+});
@@ -0,0 +1,77 @@
+import ASSERT from 'node:assert/strict';
+import PATH from 'node:path';
+import TEST from 'node:test';
+import { Codec, SceneEvaluator} from '@arcticnotes/keyframe-core';
+
+TEST( 'scene of example.ank', async() => {
+	const presentation = await new Codec().parseFile( PATH.join( import.meta.dirname, 'example.ank'));
+	const evaluator = new SceneEvaluator( presentation);
+	ASSERT.equal( evaluator.stepCount, 1);
+
+	const empty = evaluator.evaluate( -1);
+	ASSERT.equal( empty.view, undefined);
+	ASSERT.deepEqual( empty.entities, []);
+
+	const scene = evaluator.evaluate( 0);
+	const heading = presentation.get( 'heading1');
+	ASSERT.equal( scene.view, presentation.views()[ 0]);
+	ASSERT.deepEqual( scene.entities, [ heading]);
+	ASSERT.equal( scene.get( scene.view, 'background').toString(), '#ddccbb');
+	ASSERT.equal( scene.get( heading, 'text'), 'Hello World!');
+	ASSERT.equal( scene.get( heading, 'font-size'), 24); // heading is closer than text
+	ASSERT.equal( scene.get( heading, 'font-family'), 'Noto Sans'); // from the default preset
+	ASSERT.equal( scene.get( heading, 'x'), undefined);
+	ASSERT.ok( Object.isFrozen( scene.entities));
+	ASSERT.throws( () => evaluator.evaluate( 1));
+});
+
+TEST( 'auto transitions join the step before them', () => {
+	const presentation = new Codec().parse( [
+		'a:Rectangle appears',
+		'b:Rectangle appears auto',
+		'c:Rectangle appears',
+	].join( '\n'));
+	const evaluator = new SceneEvaluator( presentation);
+	ASSERT.equal( evaluator.stepCount, 2);
+	ASSERT.deepEqual( evaluator.evaluate( 0).entities.map( entity => entity.name), [ 'a', 'b']);
+	ASSERT.deepEqual( evaluator.evaluate( 1).entities.map( entity => entity.name), [ 'a', 'b', 'c']);
+});
+
+TEST( 'built-in transitions', () => {
+	const codec = new Codec();
+	const script = [
+		'TransitionPreset',
+		'\tduration @ 1s',
+		'a:Rectangle appears',
+		'\tx := 10',
+		'\ttext := \'a\'',
+		'b:Rectangle fades-in auto',
+		'a moves-to',
+		'\tx = -20',
+		'\ty = 5',
+		'a changes auto',
+		'\ttext = \'changed\'',
+		'\tfill-color = #123456',
+		'b fades-out',
+		'a disappears auto',
+	].join( '\n');
+	const presentation = codec.parse( script);
+	ASSERT.equal( codec.stringify( codec.parse( codec.stringify( presentation))), codec.stringify( presentation));
+	const [ a, b] = presentation.entities();
+	const evaluator = new SceneEvaluator( presentation);
+	ASSERT.equal( evaluator.stepCount, 3);
+
+	const first = evaluator.evaluate( 0);
+	ASSERT.deepEqual( first.entities, [ a, b]);
+	ASSERT.equal( first.opacity( b), 1);
+	const second = evaluator.evaluate( 1);
+	ASSERT.equal( second.get( a, 'x'), -20);
+	ASSERT.equal( second.get( a, 'y'), 5);
+	ASSERT.equal( second.get( a, 'text'), 'changed');
+	ASSERT.equal( second.get( a, 'fill-color').toString(), '#123456');
+	ASSERT.equal( a.get( 'x'), 10); // transitions do not change the model
+	ASSERT.deepEqual( evaluator.evaluate( 2).entities, []);
+	ASSERT.equal( evaluator.evaluate( 2).opacity( a), 0);
+
+	ASSERT.throws( () => codec.parse( 'a:Rectangle moves-to\n\ttext = \'x\''), /unknown transition parameter: text/);
+});
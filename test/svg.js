@@ -0,0 +1,106 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import { Codec, SceneEvaluator, Timeline, renderSvg} from '@arcticnotes/keyframe-core';
+
+TEST( 'svg', () => {
+	const presentation = new Codec().parse( [
+		'Screen appears',
+		'\tx := 100',
+		'\twidth := 400',
+		'\theight := 300',
+		'\tbackground := #000000',
+		'box:Rectangle appears',
+		'\tx := 50',
+		'\ty := -20',
+		'\twidth := 100',
+		'\theight := 40',
+		'\tfill-color := #ff0000',
+		'\tedge-color := #00ff00',
+		'\tedge-width := 2',
+		'\ttext := \'a < b\\nc\'',
+		'\tfont-size := 10',
+		'label:Rectangle fades-in',
+		'\ttext := \'"hi"\'',
+		'\tduration @ 1s',
+	].join( '\n'));
+	const evaluator = new SceneEvaluator( presentation);
+	ASSERT.equal( renderSvg( evaluator.evaluate( 1)), [
+		'<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="-100 -150 400 300">',
+		'\t<rect x="-100" y="-150" width="400" height="300" fill="#000000"/>',
+		'\t<g id="box">',
+		'\t\t<rect x="0" y="-40" width="100" height="40" fill="#ff0000" stroke="#00ff00" stroke-width="2"/>',
+		'\t\t<text x="50" y="-20" text-anchor="middle" dominant-baseline="central" font-size="10">'
+				+ '<tspan x="50" dy="-0.6em">a &lt; b</tspan><tspan x="50" dy="1.2em">c</tspan></text>',
+		'\t</g>',
+		'</svg>',
+		'',
+	].join( '\n'));
+	const halfway = renderSvg( new Timeline( presentation).sample( 500));
+	ASSERT.match( halfway, /<g id="label" opacity="0.5">\n\t\t<text x="0" y="0" [^>]*>&quot;hi&quot;<\/text>/);
+	ASSERT.throws( () => renderSvg( evaluator.evaluate( -1)), /no view/);
+
+	const perspective = new Codec().parse( [
+		'Screen appears',
+		'\tprojection := \'perspective\'',
+		'\th-fov := 90',
+		'\tv-fov := 60',
+	].join( '\n'));
+	ASSERT.throws( () => renderSvg( new SceneEvaluator( perspective).evaluate( 0)), /perspective projection not supported/);
+});
+
+TEST( 'svg of every entity type', () => {
+	const presentation = new Codec().parse( [
+		'Screen appears',
+		'\twidth := 400',
+		'\theight := 300',
+		'EntityPreset',
+		'\tline-color := #333333',
+		'\tfit := \'cover\'',
+		'a:Ellipse appears',
+		'\twidth := 100',
+		'\theight := 40',
+		'\tfill-color := #ff0000',
+		'\ttext := \'A\'',
+		'l:Line appears',
+		'\tx := -50',
+		'\tend-x := 100',
+		'\tline-width := 2',
+		'\tstart-arrow := \'dot\'',
+		'\tend-arrow := \'arrow\'',
+		't:Text appears',
+		'\ty := 100',
+		'\ttext := \'note\'',
+		'\ttext-align := \'start\'',
+		'i:Image appears',
+		'\twidth := 1in',
+		'\theight := 50',
+		'\tsource := \'logo.png\'',
+		'p:Path appears',
+		'\tvertices := [(0, 0), (10, 0), (0, 20)]',
+		'\tclosed := true',
+		'\tedge-color := #0000ff',
+	].join( '\n'));
+	ASSERT.equal( renderSvg( new SceneEvaluator( presentation).evaluate( 5)), [
+		'<svg xmlns="http://www.w3.org/2000/svg" width="400" height="300" viewBox="-200 -150 400 300">',
+		'\t<g id="a">',
+		'\t\t<ellipse cx="0" cy="0" rx="50" ry="20" fill="#ff0000"/>',
+		'\t\t<text x="0" y="0" text-anchor="middle" dominant-baseline="central">A</text>',
+		'\t</g>',
+		'\t<g id="l">',
+		'\t\t<line x1="-50" y1="0" x2="50" y2="0" stroke="#333333" stroke-width="2"/>',
+		'\t\t<circle cx="-50" cy="0" r="2.667" fill="#333333"/>',
+		'\t\t<polygon points="42,4 50,0 42,-4" fill="#333333"/>',
+		'\t</g>',
+		'\t<g id="t">',
+		'\t\t<text x="0" y="100" text-anchor="start" dominant-baseline="central">note</text>',
+		'\t</g>',
+		'\t<g id="i">',
+		'\t\t<image x="-36" y="-25" width="72" height="50" href="logo.png" preserveAspectRatio="xMidYMid slice"/>',
+		'\t</g>',
+		'\t<g id="p">',
+		'\t\t<path d="M0 0 L10 0 L0 20 Z" fill="none" stroke="#0000ff"/>',
+		'\t</g>',
+		'</svg>',
+		'',
+	].join( '\n'));
+});
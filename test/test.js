@@ -1,16 +1,738 @@
 import ASSERT from 'node:assert/strict';
+import FSP from 'node:fs/promises';
 import PATH from 'node:path';
 import TEST from 'node:test';
-import { Codec, ParseError} from '@arcticnotes/keyframe-core';
+import {
+	Codec, ParseError,
+	BOOLEAN_TYPE, FLOAT_TYPE, DURATION_TYPE, STRING_TYPE, COLOR_TYPE, LENGTH_TYPE, ANGLE_TYPE,
+	EnumType, TupleType, ListType, DictionaryType,
+	PropertySpace, Entity, Transition, Color, transaction, SceneEvaluator,
+} from '@arcticnotes/keyframe-core';
 
 TEST( 'example.ank', async() => {
 	try {
 		const parser = new Codec();
-		const transitions = await parser.parseFile( PATH.join( import.meta.dirname, 'example.ank'));
-		ASSERT.ok( transitions);
+		const presentation = await parser.parseFile( PATH.join( import.meta.dirname, 'example.ank'));
+		ASSERT.ok( presentation);
 	} catch( error) {
 		if( error instanceof ParseError)
 			error.print();
 		throw error;
 	}
 });
+
+TEST( 'stringify example.ank', async() => {
+	const codec = new Codec();
+	const script = codec.stringify( await codec.parseFile( PATH.join( import.meta.dirname, 'example.ank')));
+	ASSERT.equal( codec.stringify( codec.parse( script)), script);
+});
+
+TEST( 'stringify every value type', () => {
+	const BOX_PROPERTIES = new PropertySpace( [
+		[ 'x', FLOAT_TYPE],
+		[ 'label', STRING_TYPE],
+	]);
+	class Box extends Entity {
+		constructor( inherited, name) {
+			super( BOX_PROPERTIES, inherited, name);
+		}
+	}
+	class Spins extends Transition {
+		#turns;
+		constructor( inherited, target) {
+			super( new PropertySpace( [ [ 'duration', DURATION_TYPE]]), inherited, target);
+		}
+		parameterNames() {
+			return [ 'turns'];
+		}
+		getParameterType( name) {
+			return name === 'turns'? FLOAT_TYPE: undefined;
+		}
+		getParameter( name) {
+			return name === 'turns'? this.#turns: undefined;
+		}
+		setParameter( name, value) {
+			this.#turns = FLOAT_TYPE.validate( value);
+		}
+	}
+	const codec = new Codec();
+	codec.extendEntityProperties( new PropertySpace( [
+		[ 'visible', BOOLEAN_TYPE],
+		[ 'offset', FLOAT_TYPE],
+		[ 'tiny', FLOAT_TYPE],
+		[ 'mode', EnumType.of( 'mode', [ 'left', 'right'])],
+		[ 'tint', COLOR_TYPE],
+	]));
+	codec.extendSubjectType( 'com.example.Box', Box);
+	codec.extendTransitionType( 'com.example.spins', Spins);
+	const script = [
+		'Box := com.example.Box',
+		'spins := com.example.spins',
+		'EntityPreset',
+		'\tvisible := false',
+		'\toffset := -12.5',
+		'\ttiny := 0.0000001',
+		'\tmode := \'right\'',
+		'\ttint := #ABC',
+		'b:Box spins auto',
+		'\tlabel := \'it\\\'s a\\\\b\\n\\tc\'',
+		'\tduration @ 1500ms',
+		'\tturns = -2',
+		'b spins',
+	].join( '\n');
+	const presentation = codec.parse( script);
+	const reparsed = codec.parse( codec.stringify( presentation));
+	ASSERT.equal( codec.stringify( reparsed), codec.stringify( presentation));
+	const [ first, second] = reparsed.transitions();
+	const preset = first.target.inherited[ 0];
+	ASSERT.equal( preset.getLocal( 'visible'), false);
+	ASSERT.equal( preset.getLocal( 'offset'), -12.5);
+	ASSERT.equal( preset.getLocal( 'tiny'), 1e-7);
+	ASSERT.equal( preset.getLocal( 'mode'), 'right');
+	ASSERT.equal( preset.getLocal( 'tint').toString(), '#aabbcc');
+	ASSERT.equal( first.target.getLocal( 'label'), 'it\'s a\\b\n\tc');
+	ASSERT.equal( first.getLocal( 'duration'), 1500);
+	ASSERT.equal( first.getParameter( 'turns'), -2);
+	ASSERT.equal( first.auto, true);
+	ASSERT.equal( second.target, first.target);
+	ASSERT.equal( second.auto, false);
+});
+
+TEST( 'transitions without parameters', () => {
+	class Blinks extends Transition { // written before parameterNames() and apply() were added
+		constructor( inherited, target) {
+			super( new PropertySpace( [ [ 'duration', DURATION_TYPE]]), inherited, target);
+		}
+		getParameterType( name) {
+			return undefined;
+		}
+		getParameter( name) {
+			return undefined;
+		}
+		setParameter( name, value) {
+			throw new Error( `unsupported parameter: ${ name}`);
+		}
+	}
+	const codec = new Codec();
+	codec.extendTransitionType( 'blinks', Blinks);
+	const presentation = codec.parse( 'Rectangle blinks');
+	ASSERT.equal( codec.stringify( presentation), 'Rectangle blinks\n');
+	ASSERT.deepEqual( new SceneEvaluator( presentation).evaluate( 0).entities, []);
+});
+
+TEST( 'presentation', async() => {
+	const codec = new Codec();
+	const presentation = codec.parse( [
+		'EntityPreset',
+		'\twidth := 10',
+		'box:EntityPreset',
+		'\theight := 20',
+		'first:Rectangle[box]',
+		'Screen appears',
+		'second:Rectangle appears auto',
+		'third:Rectangle',
+		'second appears',
+	].join( '\n'));
+	ASSERT.deepEqual( presentation.presets(), [ presentation.get( 'box')]);
+	ASSERT.equal( presentation.defaultEntityPreset.getLocal( 'width'), 10);
+	ASSERT.equal( presentation.views().length, 1);
+	ASSERT.deepEqual( presentation.entities().map( entity => entity.name), [ 'first', 'second', 'third']);
+	ASSERT.deepEqual( presentation.get( 'first').inherited, [ presentation.get( 'box')]);
+	const steps = presentation.steps();
+	ASSERT.equal( steps.length, 2);
+	ASSERT.equal( steps[ 0].auto, false);
+	ASSERT.deepEqual( steps[ 0].transitions.map( transition => transition.target), presentation.subjects().slice( 1, 3));
+	ASSERT.equal( steps[ 1].transitions[ 0].target, presentation.get( 'second'));
+
+	const script = codec.stringify( presentation);
+	const reparsed = codec.parse( script);
+	ASSERT.equal( codec.stringify( reparsed), script);
+	ASSERT.deepEqual( reparsed.subjects().map( subject => subject.name), [ 'first', undefined, 'second', 'third']);
+});
+
+TEST( 'tuple, list, and dictionary values', () => {
+	const codec = new Codec();
+	codec.extendEntityProperties( new PropertySpace( [
+		[ 'points', ListType.of( TupleType.of( FLOAT_TYPE, FLOAT_TYPE))],
+		[ 'gradient', ListType.of( TupleType.of( FLOAT_TYPE, COLOR_TYPE))],
+		[ 'labels', DictionaryType.of( STRING_TYPE)],
+		[ 'nested', TupleType.of( TupleType.of( FLOAT_TYPE, DURATION_TYPE), ListType.of( STRING_TYPE))],
+	]));
+	const script = [
+		'EntityPreset',
+		'\tpoints := [(0, 0), (1.5, -2),(3,4)]',
+		'\tgradient := [ ( 0, #fff), (1, #000000)]',
+		'\tlabels := {north: \'N\', \'south west\': \'SW\', east-1: \'E\'}',
+		'\tnested := ((1, 2s), [])',
+	].join( '\n');
+	const preset = codec.parse( script).defaultEntityPreset;
+	ASSERT.deepEqual( preset.getLocal( 'points'), [ [ 0, 0], [ 1.5, -2], [ 3, 4]]);
+	ASSERT.deepEqual( preset.getLocal( 'gradient').map( ( [ stop, color]) => [ stop, color.toString()]),
+			[ [ 0, '#ffffff'], [ 1, '#000000']]);
+	ASSERT.deepEqual( preset.getLocal( 'labels'), [ [ 'north', 'N'], [ 'south west', 'SW'], [ 'east-1', 'E']]);
+	ASSERT.deepEqual( preset.getLocal( 'nested'), [ [ 1, 2000], []]);
+	const written = codec.stringify( codec.parse( script));
+	ASSERT.match( written, /\tlabels := \{north: 'N', 'south west': 'SW', east-1: 'E'\}\n/);
+	ASSERT.equal( codec.stringify( codec.parse( written)), written);
+
+	const errorAt = ( line, problem) => {
+		try {
+			codec.parse( 'EntityPreset\n' + line);
+		} catch( error) {
+			ASSERT.ok( error instanceof ParseError);
+			ASSERT.match( error.problem, problem);
+			return error.columnIndex;
+		}
+		ASSERT.fail( 'no error');
+	};
+	ASSERT.equal( errorAt( '\tpoints := [(0, 0) (1, 1)]', /"," or "]" expected/), 19);
+	ASSERT.equal( errorAt( '\tpoints := [(0, 0), (1, 1)', /"," or "]" expected: EOL/), 26);
+	ASSERT.equal( errorAt( '\tpoints := [(0, 0), (1, \'x\')]', /number expected/), 24);
+	ASSERT.equal( errorAt( '\tpoints := [(0, 0, 0)]', /"\)" expected/), 17);
+	ASSERT.equal( errorAt( '\tlabels := {a: \'x\', a: \'y\'}', /duplicate dictionary key: a/), 20);
+	ASSERT.equal( errorAt( '\tlabels := {a \'x\'}', /":" expected/), 14);
+	ASSERT.equal( errorAt( '\tpoints := [] 1', /EOL expected/), 14);
+});
+
+TEST( 'plugins', () => {
+	const NAMESPACE = 'com.example.computers';
+	const GLOW = new PropertySpace( [ [ `${ NAMESPACE}.glow`, FLOAT_TYPE]]);
+	class Computer extends Entity {
+		constructor( inherited, name) {
+			super( new PropertySpace( [ [ 'x', FLOAT_TYPE], GLOW]), inherited, name);
+		}
+	}
+	class Boots extends Transition {
+		constructor( inherited, target) {
+			super( new PropertySpace( [ [ 'duration', DURATION_TYPE]]), inherited, target);
+		}
+		parameterNames() {
+			return [];
+		}
+		getParameterType( name) {
+			return undefined;
+		}
+		apply( state) {
+			state.show( this.target);
+		}
+	}
+	const plugin = {
+		name: 'computers',
+		namespace: NAMESPACE,
+		subjectTypes: { Computer},
+		transitionTypes: { 'boots': Boots},
+		entityProperties: GLOW,
+	};
+	const codec = new Codec().use( plugin);
+	ASSERT.equal( codec.getSubjectType( `${ NAMESPACE}.Computer`), Computer);
+	ASSERT.equal( codec.getTransitionType( `${ NAMESPACE}.boots`), Boots);
+
+	const script = [
+		`Computer := ${ NAMESPACE}.Computer`,
+		`boots := ${ NAMESPACE}.boots`,
+		`glow := ${ NAMESPACE}.glow`,
+		'EntityPreset',
+		'\tglow := 0.5',
+		'pc:Computer boots',
+		'\tglow := 2',
+	].join( '\n');
+	const presentation = codec.parse( script);
+	ASSERT.equal( presentation.get( 'pc').get( `${ NAMESPACE}.glow`), 2);
+	ASSERT.equal( presentation.defaultEntityPreset.get( `${ NAMESPACE}.glow`), 0.5);
+	ASSERT.equal( codec.stringify( presentation), [
+		`Computer := ${ NAMESPACE}.Computer`,
+		`boots := ${ NAMESPACE}.boots`,
+		`glow := ${ NAMESPACE}.glow`,
+		'',
+		'EntityPreset',
+		'\tglow := 0.5',
+		'',
+		'pc:Computer boots',
+		'\tglow := 2',
+		'',
+	].join( '\n'));
+	// aliases of what is not installed are reported only where used
+	const aliases = `Printer := ${ NAMESPACE}.Printer\nprints := ${ NAMESPACE}.prints\n`;
+	ASSERT.equal( codec.parse( aliases).getAlias( 'Printer'), `${ NAMESPACE}.Printer`);
+	ASSERT.throws( () => codec.parse( `${ aliases}p:Printer`), { problem: `unknown type: Printer (${ NAMESPACE}.Printer)`});
+	ASSERT.throws( () => codec.parse( `${ aliases}Rectangle prints`),
+			{ problem: `unknown transition type: prints (${ NAMESPACE}.prints)`});
+
+	ASSERT.throws( () => codec.use( plugin), /^Error: plugin computers: already installed$/);
+	ASSERT.throws( () => codec.use( { ...plugin, name: 'clone'}), /^Error: plugin clone: namespace already used by plugin computers/);
+	ASSERT.throws( () => codec.use( { name: 'bad', namespace: 'com.example.bad', subjectTypes: { Computer}}),
+			/^Error: plugin bad: type collision/);
+	ASSERT.throws( () => codec.use( { name: 'bad', namespace: 'com.example.bad', transitionTypes: { 'boots': class {}},
+			entityProperties: new PropertySpace( [ [ 'glow', FLOAT_TYPE]])}), /^Error: plugin bad: illegal transition type/);
+	ASSERT.throws( () => codec.use( { name: 'bad', namespace: 'com.example.bad', subjectTypes: { Box: class extends Computer {}},
+			entityProperties: new PropertySpace( [ [ 'glow', FLOAT_TYPE]])}), /^Error: plugin bad: property not in namespace/);
+	ASSERT.equal( codec.getSubjectType( 'com.example.bad.Box'), undefined); // rolled back
+});
+
+TEST( 'imports', async() => {
+	const codec = new Codec();
+	const deck = PATH.join( import.meta.dirname, 'imports', 'deck.ank');
+	const presentation = await codec.parseFile( deck);
+	ASSERT.deepEqual( presentation.imports().map( imported => [ imported.path, imported.namespace]), [ [ 'house.ank', 'house']]);
+	ASSERT.equal( presentation.get( 'headline').get( 'font-size'), 24);
+	ASSERT.equal( presentation.get( 'headline').inherited[ 0], presentation.get( 'house.title'));
+	ASSERT.equal( presentation.get( 'house.heading').name, 'heading'); // imported by house.ank
+	ASSERT.equal( presentation.get( 'heading'), undefined);
+	ASSERT.equal( presentation.transitions()[ 2].get( 'duration'), 2000);
+	ASSERT.equal( presentation.getAlias( 'Box'), 'Rectangle');
+	ASSERT.deepEqual( presentation.presets(), []);
+
+	const script = codec.stringify( presentation);
+	ASSERT.match( script, /^import 'house\.ank' as house\n/);
+	ASSERT.match( script, /^headline:Rectangle\[house\.title\] appears\[house\.slow\]$/m);
+
+	await ASSERT.rejects( codec.parseFile( PATH.join( import.meta.dirname, 'imports', 'cycle-a.ank')), error => {
+		ASSERT.ok( error instanceof ParseError);
+		ASSERT.match( error.problem, /^import cycle: .*cycle-a\.ank → .*cycle-b\.ank → .*cycle-a\.ank$/);
+		ASSERT.match( error.source, /cycle-b\.ank$/);
+		ASSERT.deepEqual( error.importChain.map( frame => [ PATH.basename( frame.source), frame.lineIndex, frame.columnIndex]),
+				[ [ 'cycle-a.ank', 0, 7]]);
+		ASSERT.equal( error.message.split( '\n').length, 2); // composed from the chain
+		ASSERT.match( error.message, /\n    imported from .*cycle-a\.ank line 1 column 8$/);
+		ASSERT.ok( !Object.hasOwn( error, 'message'));
+		return true;
+	});
+	ASSERT.throws( () => codec.parse( 'import \'house.ank\''), /imports are supported only when parsing files/);
+	ASSERT.throws( () => codec.parse( 'Screen appears\nimport \'house.ank\''), /imports must be at the top of the file/);
+});
+
+TEST( 'diagnostics', async() => {
+	const codec = new Codec();
+	const { presentation, diagnostics} = codec.diagnose( [
+		'Screen appears',
+		'box:Rectangle apears', // the block is skipped
+		'\twidth := 10',
+		'\t\tdepth := 1',
+		'label:Rectangle appears',
+		'\twidth := -1',
+		'\theight := 5',
+		'\theight := 6',
+		'  bad',
+		'import \'house.ank\'',
+	].join( '\n'));
+	ASSERT.deepEqual( diagnostics.map( ( { severity, code, lineIndex, columnIndex, endColumnIndex}) =>
+			[ severity, code, lineIndex, columnIndex, endColumnIndex]), [
+		[ 'error', 'unknown-type', 1, 14, 20],
+		[ 'error', 'invalid-value', 5, 10, 12],
+		[ 'warning', 'overwritten', 7, 1, 7],
+		[ 'error', 'indentation', 8, 0, 2],
+		[ 'error', 'misplaced-import', 9, 0, 6],
+	]);
+	ASSERT.equal( diagnostics[ 1].problem, 'positive number expected: -1');
+	ASSERT.equal( presentation.get( 'label').get( 'height'), 6);
+	ASSERT.equal( presentation.get( 'label').getLocal( 'width'), undefined);
+	ASSERT.throws( () => codec.parse( 'box:Rectangle apears'), error => error.code === 'unknown-type');
+
+	// lines with errors leave nothing behind: neither assignments to warn about nor targets to collide with
+	const retried = codec.diagnose( [
+		'a:Rectangle appears',
+		'\tx := foo',
+		'\tx := 1',
+		'b:Rectangle[missing] appears',
+		'b:Rectangle appears',
+	].join( '\n'));
+	ASSERT.deepEqual( retried.diagnostics.map( ( { code, lineIndex}) => [ code, lineIndex]), [ [ 'undefined-id', 1], [ 'undefined-id', 3]]);
+	ASSERT.equal( retried.presentation.get( 'a').get( 'x'), 1);
+	ASSERT.equal( retried.presentation.subjects().length, 2);
+	ASSERT.deepEqual( codec.diagnose( 'Box :=\nbig :=').diagnostics.map( ( { code, lineIndex, columnIndex, problem}) =>
+			[ code, lineIndex, columnIndex, problem]), [
+		[ 'syntax', 0, 4, 'type expected after ":="'],
+		[ 'syntax', 1, 4, 'id expected after ":="'],
+	]);
+
+	const deck = PATH.join( import.meta.dirname, 'imports', 'deck.ank');
+	const result = await codec.diagnoseFile( deck, [
+		'import \'missing.ank\'',
+		'import \'house.ank\' as house',
+		'title:Rectangle[house.title] appears',
+	].join( '\n'));
+	ASSERT.deepEqual( result.diagnostics.map( ( { code, lineIndex, columnIndex}) => [ code, lineIndex, columnIndex]),
+			[ [ 'import-failed', 0, 7]]);
+	ASSERT.equal( result.presentation.get( 'title').get( 'font-size'), 24);
+});
+
+TEST( 'source map', async() => {
+	const codec = new Codec();
+	const presentation = codec.parse( [
+		'EntityPreset',
+		'\twidth := 144',
+		'',
+		'Screen appears',
+		'',
+		'box:Rectangle appears # a comment',
+		'\theight := 10 ',
+		'\tduration @ 1s',
+		'box moves-to',
+		'\tx = 10',
+	].join( '\n'), 'deck.ank');
+	const sourceMap = presentation.sourceMap;
+	const box = presentation.get( 'box');
+	const [ , appears, movesTo] = presentation.transitions();
+	ASSERT.deepEqual( sourceMap.spanOf( box), { source: 'deck.ank', lineIndex: 5, columnIndex: 0, endColumnIndex: 21});
+	ASSERT.deepEqual( sourceMap.spanOf( movesTo), { source: 'deck.ank', lineIndex: 8, columnIndex: 0, endColumnIndex: 12});
+	ASSERT.deepEqual( sourceMap.spanOf( box, 'height'), { source: 'deck.ank', lineIndex: 6, columnIndex: 1, endColumnIndex: 13});
+	ASSERT.equal( sourceMap.spanOf( box, 'width'), undefined); // inherited
+	ASSERT.equal( sourceMap.spanOf( presentation.defaultEntityPreset, 'width').lineIndex, 1);
+	ASSERT.equal( sourceMap.spanOfParameter( movesTo, 'x').lineIndex, 9);
+	ASSERT.deepEqual( sourceMap.at( 5).map( entry => entry.object), [ box, appears]);
+	ASSERT.deepEqual( sourceMap.at( 7, 3).map( ( { object, property}) => [ object, property]), [ [ appears, 'duration']]);
+	ASSERT.deepEqual( sourceMap.at( 7, 20), []);
+	ASSERT.deepEqual( sourceMap.blockSpanOf( box), { source: 'deck.ank', lineIndex: 5, endLineIndex: 8});
+	ASSERT.deepEqual( sourceMap.blockSpanOf( movesTo), { source: 'deck.ank', lineIndex: 8, endLineIndex: 10});
+	ASSERT.deepEqual( sourceMap.blockSpanOf( presentation.defaultEntityPreset), { source: 'deck.ank', lineIndex: 0, endLineIndex: 2});
+
+	const deck = await codec.parseFile( PATH.join( import.meta.dirname, 'imports', 'deck.ank'));
+	const span = deck.spanOf( deck.get( 'house.heading'));
+	ASSERT.equal( PATH.basename( span.source), 'theme.ank');
+	ASSERT.equal( span.lineIndex, 5);
+	ASSERT.equal( deck.sourceMap.spanOf( deck.imports()[ 0]).lineIndex, 1);
+});
+
+TEST( 'change notifications', () => {
+	const presentation = new Codec().parse( [
+		'text:EntityPreset',
+		'\tfont-size := 16',
+		'heading:EntityPreset[text]',
+		'box:Rectangle[heading]',
+		'other:Rectangle',
+	].join( '\n'));
+	const [ text, heading] = presentation.presets();
+	const box = presentation.get( 'box');
+	const events = [];
+	const unsubscribe = box.subscribe( changes => events.push( changes.map( ( { object, name, oldValue, newValue}) =>
+			[ object.name, name, oldValue, newValue])));
+	presentation.get( 'other').subscribe( () => ASSERT.fail( 'not inheriting'));
+
+	text.set( 'font-size', 20); // through the preset chain
+	heading.set( 'font-size', 24);
+	text.set( 'font-size', 12); // overridden by heading
+	heading.set( 'fill-color', Color.of( '#fff'));
+	heading.set( 'fill-color', Color.of( '#ffffff')); // the same color
+	ASSERT.deepEqual( events, [
+		[ [ 'box', 'font-size', 16, 20]],
+		[ [ 'box', 'font-size', 20, 24]],
+		[ [ 'box', 'fill-color', undefined, heading.get( 'fill-color')]],
+	]);
+
+	events.length = 0;
+	ASSERT.equal( transaction( () => {
+		box.set( 'width', 10);
+		box.set( 'width', 20);
+		box.set( 'height', 5);
+		heading.set( 'font-size', undefined);
+		box.set( 'x', 1);
+		box.set( 'x', undefined); // back to where it was
+		return 'done';
+	}), 'done');
+	ASSERT.deepEqual( events, [ [ [ 'box', 'width', undefined, 20], [ 'box', 'height', undefined, 5], [ 'box', 'font-size', 24, 12]]]);
+
+	events.length = 0;
+	box.rebase( [ text]);
+	heading.set( 'font-size', 30); // no longer inherited
+	text.set( 'font-size', 14);
+	ASSERT.deepEqual( events, [
+		[ [ 'box', 'fill-color', heading.get( 'fill-color'), undefined]],
+		[ [ 'box', 'font-size', 12, 14]],
+	]);
+
+	unsubscribe();
+	events.length = 0;
+	box.set( 'width', 30);
+	ASSERT.deepEqual( events, []);
+
+	const failures = [ 'first', 'second'].map( message => text.subscribe( () => {
+		throw new Error( message);
+	}));
+	ASSERT.throws( () => text.set( 'font-size', 10), error => error instanceof AggregateError
+			&& error.errors.map( error => error.message).join() === 'first,second');
+	failures[ 0]();
+	ASSERT.throws( () => text.set( 'font-size', 11), { message: 'second'});
+});
+
+TEST( 'reparse', () => {
+	const codec = new Codec();
+	const script = [
+		'# a deck',
+		'text:EntityPreset',
+		'\tfont-size := 16',
+		'box:Rectangle[text] appears',
+		'\twidth := 10',
+		'Rectangle appears',
+		'\tx := 5',
+		'box moves-to',
+		'\tx = 10',
+	].join( '\n');
+	const edited = ( result, start, end, text) => {
+		const [ line, character] = start;
+		const [ endLine, endCharacter] = end;
+		const next = codec.reparse( result, { start: { line, character}, end: { line: endLine, character: endCharacter}, text});
+		const full = codec.diagnose( next.script);
+		ASSERT.equal( codec.stringify( next.presentation), codec.stringify( full.presentation));
+		ASSERT.deepEqual( next.diagnostics, full.diagnostics);
+		return next;
+	};
+	const first = codec.diagnose( script);
+	const box = first.presentation.get( 'box');
+	const [ , , anonymous] = first.presentation.transitions();
+	const [ , , movesTo] = first.presentation.transitions();
+
+	const second = edited( first, [ 4, 10], [ 4, 12], '20');
+	ASSERT.equal( second.script, script.replace( '10', '20'));
+	ASSERT.equal( second.presentation.get( 'box'), box);
+	ASSERT.equal( box.get( 'width'), 20);
+	ASSERT.deepEqual( second.changes.added, []);
+	ASSERT.deepEqual( second.changes.removed, []);
+	ASSERT.ok( second.changes.updated.includes( box));
+	ASSERT.ok( !second.changes.updated.includes( movesTo)); // carried over
+
+	const third = edited( second, [ 3, 0], [ 3, 0], 'Screen appears\n');
+	ASSERT.equal( third.presentation.transitions()[ 3], anonymous);
+	ASSERT.equal( third.presentation.sourceMap.spanOf( movesTo).lineIndex, 8);
+	ASSERT.equal( third.presentation.sourceMap.spanOfParameter( movesTo, 'x').lineIndex, 9);
+	ASSERT.equal( third.presentation.sourceMap.blockSpanOf( movesTo).endLineIndex, 10); // carried over
+	ASSERT.deepEqual( third.changes.added.map( object => object.constructor.name), [ 'Screen', 'Appears']);
+
+	const fourth = edited( third, [ 4, 0], [ 6, 0], 'box:Rectangle[tex] appears\n'); // an error
+	ASSERT.deepEqual( fourth.diagnostics.map( diagnostic => [ diagnostic.code, diagnostic.lineIndex]), [
+		[ 'undefined-id', 4],
+		[ 'undefined-id', 7],
+	]);
+	ASSERT.ok( fourth.changes.removed.includes( box));
+	const fifth = edited( fourth, [ 4, 17], [ 4, 17], 't');
+	ASSERT.deepEqual( fifth.diagnostics, []);
+	ASSERT.equal( fifth.presentation.get( 'box').get( 'width'), undefined);
+
+	const sixth = edited( fifth, [ 0, 0], [ 0, 0], 'Txt := Rectangle\n'); // every block parsed again
+	ASSERT.deepEqual( sixth.changes.added, []);
+	ASSERT.equal( sixth.presentation.defaultEntityPreset, first.presentation.defaultEntityPreset);
+	ASSERT.throws( () => codec.reparse( sixth, { start: { line: 99, character: 0}, end: { line: 99, character: 0}, text: ''}),
+			{ message: 'edit start out of range: 99:0'});
+});
+
+TEST( 'colors', () => {
+	const codec = new Codec();
+	const presentation = codec.parse( [
+		'Screen appears',
+		'\tbackground := rebeccapurple',
+		'a:Rectangle appears',
+		'\tfill-color := #ff000080',
+		'\tedge-color := rgb(0 128 255 / 25%)',
+		'\ttext-color := hsl(120, 100%, 25%)',
+		'b:Rectangle appears',
+		'\tfill-color := oklch(62.8% 0.2577 29.23)',
+		'\tedge-color := #abcd',
+	].join( '\n'));
+	const [ screen, a, b] = presentation.subjects();
+	ASSERT.equal( screen.get( 'background').toString(), '#663399');
+	const fill = a.get( 'fill-color');
+	ASSERT.deepEqual( [ fill.red, fill.green, fill.blue, fill.alpha], [ 255, 0, 0, 128 / 255]);
+	ASSERT.equal( a.get( 'edge-color').toString(), '#0080ff40');
+	ASSERT.equal( a.get( 'text-color').toString(), '#008000');
+	ASSERT.equal( b.get( 'fill-color').toString(), '#ff0000');
+	ASSERT.equal( b.get( 'edge-color').toString(), '#aabbccdd');
+	ASSERT.match( codec.stringify( presentation), /fill-color := #ff000080\n/);
+	ASSERT.equal( codec.diagnose( 'a:Rectangle\n\tfill-color := rgb(300 0 0)').diagnostics[ 0].problem,
+			'argument out of range 300: rgb(300 0 0)');
+	ASSERT.throws( () => codec.parse( 'a:Rectangle\n\tfill-color := reddish'), { code: 'invalid-value'});
+
+	const [ red, blue] = [ Color.of( 'red'), Color.of( 'blue')];
+	ASSERT.equal( Color.mix( red, blue, 0.5).toString(), '#800080');
+	ASSERT.equal( Color.mix( red, blue, 0.5, 'linear').toString(), '#bc00bc');
+	ASSERT.equal( Color.mix( red, blue, 0.5, 'oklab').toString(), '#8c53a2');
+	ASSERT.equal( Color.mix( Color.of( 'transparent'), red, 0.5).toString(), '#ff000080'); // premultiplied
+	ASSERT.throws( () => Color.mix( red, blue, 0.5, 'cmyk'), { message: 'unknown color space: cmyk'});
+});
+
+TEST( 'units', () => {
+	const codec = new Codec();
+	const script = [
+		'Screen appears',
+		'\twidth := 10in',
+		'\theight := 400',
+		'a:Rectangle appears',
+		'\twidth := 50%',
+		'\theight := 25%',
+		'\tx := 1cm',
+		'\tfont-size := 12px',
+		'\troll := 0.25turn',
+		'\tpitch := 30',
+		'\tyaw := 3.14159265358979rad',
+		'a moves-to',
+		'\ty = 10mm',
+	].join( '\n');
+	const presentation = codec.parse( script);
+	const a = presentation.get( 'a');
+	ASSERT.deepEqual( [ 'width', 'height', 'font-size', 'roll', 'pitch'].map( name => a.get( name)), [ 360, 100, 9, 90, 30]);
+	ASSERT.equal( a.get( 'x'), 72 / 2.54);
+	const [ , , movesTo] = presentation.transitions();
+	ASSERT.equal( movesTo.getParameter( 'y'), 720 / 25.4);
+	ASSERT.equal( presentation.sourceMap.unitOf( a, 'x').name, 'cm');
+	ASSERT.equal( codec.stringify( presentation), codec.stringify( codec.parse( codec.stringify( presentation))));
+	const written = codec.stringify( presentation);
+	for( const line of [ '\twidth := 10in', '\twidth := 50%', '\tx := 1cm', '\tfont-size := 12px', '\troll := 0.25turn', '\tpitch := 30',
+			'\tyaw := 3.14159265358979rad', '\ty = 10mm'])
+		ASSERT.ok( written.includes( line + '\n'), line);
+	a.set( 'x', 72 / 2.54 * 2);
+	ASSERT.ok( codec.stringify( presentation).includes( '\tx := 2cm\n'));
+	a.set( 'width', 180);
+	ASSERT.ok( codec.stringify( presentation).includes( '\twidth := 25%\n'));
+	presentation.subjects()[ 0].set( 'width', 1000); // percentages no longer of the same size
+	const resized = codec.stringify( presentation);
+	ASSERT.ok( resized.includes( '\twidth := 180\n'));
+	ASSERT.equal( codec.parse( resized).get( 'a').get( 'width'), 180);
+	const extended = new Codec(); // units of elements kept too
+	extended.extendEntityProperties( new PropertySpace( [
+		[ 'corners', ListType.of( TupleType.of( LENGTH_TYPE, LENGTH_TYPE))],
+		[ 'marks', DictionaryType.of( ANGLE_TYPE)],
+	]));
+	const elements = '\tcorners := [(0, 0), (1cm, 2), (-1mm, 1in)]\n\tmarks := {a: 0.5turn, b: 90}\n';
+	ASSERT.ok( extended.stringify( extended.parse( `EntityPreset\n${ elements}`)).includes( elements));
+
+	const problem = line => codec.diagnose( `a:Rectangle\n\t${ line}`).diagnostics[ 0].problem;
+	ASSERT.equal( problem( 'width := 3ft'), 'length unit (pt, px, in, cm, mm, %) expected: ft');
+	ASSERT.equal( problem( 'roll := 5%'), 'angles cannot be percentages');
+	ASSERT.equal( problem( 'width := 5%'), 'percentage of the view width, which is not set');
+	ASSERT.equal( problem( 'width := -1cm'), 'positive number expected: -1');
+});
+
+TEST( 'constants and expressions', () => {
+	const codec = new Codec();
+	const presentation = codec.parse( [
+		'const margin = 1in',
+		'const gap = margin / 2',
+		'Screen appears',
+		'\twidth := 24 * 72 / sqrt(16^2 + 9^2) * 16',
+		'\theight := 600',
+		'a:Rectangle appears',
+		'\tx := margin + gap*2 -1',
+		'\ty := -2^2 + 2^3^2',
+		'\twidth := max(50% - margin, 100, min(1, 2))',
+		'\theight := (margin + 1cm) * 2',
+		'\troll := 1turn / 4',
+		'a moves-to',
+		'\tx = -margin',
+	].join( '\n'));
+	ASSERT.equal( presentation.subjects()[ 0].get( 'width'), 24 * 72 / Math.sqrt( 337) * 16);
+	const a = presentation.get( 'a');
+	ASSERT.deepEqual( [ 'x', 'y', 'width', 'roll'].map( name => a.get( name)), [ 143, 508, 24 * 72 / Math.sqrt( 337) * 8 - 72, 90]);
+	ASSERT.equal( a.get( 'height'), ( 72 + 72 / 2.54) * 2);
+	ASSERT.equal( presentation.transitions()[ 2].getParameter( 'x'), -72);
+	ASSERT.equal( presentation.sourceMap.unitOf( a, 'x'), undefined); // only lone numbers keep their units
+	const written = codec.stringify( presentation);
+	ASSERT.ok( written.startsWith( 'const margin = 1in\nconst gap = margin / 2\n\n'));
+	ASSERT.match( written, /\n\theight := \(margin \+ 1cm\) \* 2\n/);
+	ASSERT.match( written, /\n\tx = -margin\n/);
+	ASSERT.match( written, /\n\tx := margin \+ gap \* 2 - 1\n/);
+	ASSERT.equal( codec.stringify( codec.parse( written)), written);
+	a.set( 'height', 300); // no longer what the expression evaluates to
+	ASSERT.match( codec.stringify( presentation), /\n\theight := 300\n/);
+	presentation.subjects()[ 0].set( 'width', 1000); // nor is the view width the percentage is of
+	ASSERT.match( codec.stringify( presentation), /\n\twidth := 1000\n[^]*\n\twidth := 681\.04[0-9]*\n/);
+
+	const errorOf = line => {
+		const [ { problem, columnIndex, endColumnIndex}] = codec.diagnose( `const one = 1\na:Rectangle\n\t${ line}`).diagnostics;
+		return [ problem, columnIndex, endColumnIndex];
+	};
+	ASSERT.deepEqual( errorOf( 'x := 1 + (2 * two)'), [ 'constant undefined: two', 15, 18]);
+	ASSERT.deepEqual( errorOf( 'x := 2*one-1'), [ 'constant undefined: one-1, spaces needed around "-" to subtract', 8, 13]);
+	ASSERT.deepEqual( errorOf( 'x := 4 / (one - 1)'), [ 'division by zero', 8, 9]);
+	ASSERT.deepEqual( errorOf( 'x := 1 + sqrt(-1)'), [ 'not a finite number: NaN', 10, 14]);
+	ASSERT.deepEqual( errorOf( 'x := min()'), [ 'min() takes one or more argument(s): 0', 6, 9]);
+	ASSERT.deepEqual( errorOf( 'x := (1 + 2'), [ '")" expected: EOL', 12, 12]);
+	ASSERT.deepEqual( errorOf( 'width := 1 - 2'), [ 'positive number expected: 1 - 2', 10, 11]);
+	ASSERT.equal( codec.diagnose( 'const one = 1\nconst one = 2').diagnostics[ 0].code, 'collision');
+});
+
+TEST( 'format', async() => {
+	const codec = new Codec();
+	const example = await FSP.readFile( PATH.join( import.meta.dirname, 'example.ank'), 'utf-8');
+	ASSERT.equal( codec.format( example), example);
+
+	const script = [
+		'',
+		'Box  := Rectangle',
+		'const  m=1cm*2+ -3 ',
+		'',
+		'',
+		'Screen appears   # the screen',
+		'\twidth:=800',
+		'\tbackground := #ABC',
+		'',
+		'\t# the size  ',
+		'\theight  :=sqrt( 2 )/2^ 3 # rounded',
+		'\tpalette := { ink : #000, \'paper white\':#FFFFFFFF }',
+		'b : Box [ text ]  appears [ slow ]auto',
+		'\tpath := [ (0,1) , (2.50, -3) ]',
+		'\tduration @ 2.0s',
+		'\tx = - m * 50 %',
+		'\ty = 2-1 -m*(1) -1cm',
+		'\tfont-size := 10 pt',
+		'',
+	].join( '\n');
+	const formatted = codec.format( script);
+	ASSERT.equal( formatted, [
+		'Box := Rectangle',
+		'const m = 1cm * 2 + -3',
+		'',
+		'Screen appears # the screen',
+		'\twidth      := 800',
+		'\tbackground := #aabbcc',
+		'',
+		'\t# the size',
+		'\theight     := sqrt(2) / 2^3 # rounded',
+		'\tpalette    := {ink: #000000, \'paper white\': #ffffff}',
+		'b:Box[text] appears[slow] auto',
+		'\tpath      := [(0, 1), (2.5, -3)]',
+		'\tduration  @ 2s',
+		'\tx         = -m * 50%',
+		'\ty         = 2 - 1 - m * (1) - 1cm',
+		'\tfont-size := 10pt',
+		'',
+	].join( '\n'));
+	ASSERT.equal( codec.format( formatted), formatted);
+	ASSERT.throws( () => codec.format( 'Screen appears\n\twidth := 800 ~', 'deck.ank'),
+			{ message: 'deck.ank line 2 column 15: unknown token'});
+	ASSERT.throws( () => codec.format( 'Screen appears\n  width := 800'), { code: 'indentation'});
+});
+
+TEST( 'entity types', () => {
+	const codec = new Codec();
+	const presentation = codec.parse( [
+		'EntityPreset',
+		'\tx := 10',
+		'\tvertices := [(0, 0), (1in, 2cm)]',
+		'\tstart-arrow := \'open-arrow\'',
+		'r:Rectangle',
+		'e:Ellipse',
+		'l:Line',
+		't:Text',
+		'i:Image',
+		'p:Path',
+	].join( '\n'));
+	const names = id => [ ...presentation.get( id).propertySpace.names()];
+	for( const id of [ 'r', 'e', 'l', 't', 'i', 'p']) // the placement shared
+		ASSERT.deepEqual( names( id).slice( 0, 6), [ 'x', 'y', 'z', 'pitch', 'yaw', 'roll']);
+	ASSERT.deepEqual( names( 'r').slice( 6), [ 'width', 'height', 'fill-color', 'edge-color', 'edge-width', 'line-color',
+			'line-width', 'text-color', 'font-family', 'font-size', 'text']);
+	ASSERT.deepEqual( names( 'e'), names( 'r').filter( name => !name.startsWith( 'line-')));
+	ASSERT.deepEqual( names( 'l').slice( 6), [ 'end-x', 'end-y', 'line-color', 'line-width', 'start-arrow', 'end-arrow']);
+	ASSERT.deepEqual( names( 't').slice( 6), [ 'text-color', 'font-family', 'font-size', 'text', 'text-align']);
+	ASSERT.deepEqual( names( 'i').slice( 6), [ 'width', 'height', 'source', 'fit']);
+	ASSERT.deepEqual( names( 'p').slice( 6), [ 'fill-color', 'edge-color', 'edge-width', 'vertices', 'closed']);
+	ASSERT.equal( presentation.get( 'p').get( 'x'), 10);
+	ASSERT.deepEqual( presentation.get( 'p').get( 'vertices'), [ [ 0, 0], [ 72, 72 / 2.54 * 2]]);
+	ASSERT.equal( presentation.get( 'l').get( 'start-arrow'), 'open-arrow');
+	ASSERT.equal( codec.stringify( codec.parse( codec.stringify( presentation))), codec.stringify( presentation));
+
+	const problemOf = lines => codec.diagnose( lines.join( '\n')).diagnostics.map( diagnostic => diagnostic.problem);
+	ASSERT.deepEqual( problemOf( [ 'l:Line', '\twidth := 10']), [ 'unknown property: width']);
+	ASSERT.deepEqual( problemOf( [ 't:Text', '\tfill-color := #000000']), [ 'unknown property: fill-color']);
+	ASSERT.deepEqual( problemOf( [ 'i:Image', '\tfit := \'stretch\'']), [ 'one of the following values expected: contain, cover, fill']);
+	ASSERT.deepEqual( codec.subjectTypeNames().filter( name => !name.endsWith( 'Preset')),
+			[ 'Screen', 'Rectangle', 'Ellipse', 'Line', 'Text', 'Image', 'Path']);
+});
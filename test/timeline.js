@@ -0,0 +1,132 @@
+import ASSERT from 'node:assert/strict';
+import TEST from 'node:test';
+import { Codec, Color, Timeline, Transition, easing} from '@arcticnotes/keyframe-core';
+
+const TRANSITION_PROPERTIES = new Codec().createTransitionPropertySpace();
+
+class Grows extends Transition {
+
+	constructor( inherited, target) {
+		super( TRANSITION_PROPERTIES, inherited, target);
+	}
+
+	parameterNames() {
+		return [];
+	}
+
+	getParameterType( name) {
+		return undefined;
+	}
+
+	getParameter( name) {
+		return undefined;
+	}
+
+	setParameter( name, value) {
+		throw new Error( `unsupported parameter: ${ name}`);
+	}
+
+	apply( state) {
+		state.set( this.target, 'width', 300);
+		state.set( this.target, 'fill-color', Color.of( '#ffffff'));
+		state.set( this.target, 'text', 'grown');
+	}
+}
+
+function parse( lines) {
+	const codec = new Codec();
+	codec.extendTransitionType( 'grows', Grows);
+	return codec.parse( lines.join( '\n'));
+}
+
+TEST( 'timeline interpolates properties', () => {
+	const presentation = parse( [
+		'TransitionPreset',
+		'\tduration @ 1s',
+		'box:Rectangle appears auto',
+		'\twidth := 100',
+		'\tfill-color := #000000',
+		'\ttext := \'small\'',
+		'box grows',
+	]);
+	const box = presentation.get( 'box');
+	const timeline = new Timeline( presentation);
+	ASSERT.equal( timeline.duration, 2000);
+	ASSERT.equal( timeline.stepCount, 2);
+	ASSERT.equal( timeline.startOf( 1), 1000);
+	ASSERT.equal( timeline.stepAt( 1500), 1);
+
+	ASSERT.deepEqual( timeline.sample( 0).entities, [ box]); // appears right at the start
+	const middle = timeline.sample( 1250);
+	ASSERT.equal( middle.get( box, 'width'), 150);
+	ASSERT.equal( middle.get( box, 'fill-color').toString(), '#404040');
+	ASSERT.equal( middle.get( box, 'text'), 'small');
+	const end = timeline.sample( 2000);
+	ASSERT.equal( end.get( box, 'width'), 300);
+	ASSERT.equal( end.get( box, 'text'), 'grown');
+	ASSERT.equal( timeline.sample( 5000).get( box, 'width'), 300);
+	ASSERT.deepEqual( timeline.sample( -1).entities, []);
+});
+
+TEST( 'timeline frames', () => {
+	const timeline = new Timeline( parse( [
+		'box:Rectangle appears',
+		'\twidth := 100',
+		'box grows',
+		'\tduration @ 100ms',
+	]));
+	const frames = [ ...timeline.frames( 30)];
+	ASSERT.deepEqual( frames.map( frame => frame.time), [ 0, 100 / 3, 200 / 3, 100]);
+	ASSERT.equal( frames[ 1].scene.get( frames[ 1].scene.entities[ 0], 'width'), 100 + 200 / 3);
+});
+
+TEST( 'easing', () => {
+	ASSERT.equal( easing( 'linear')( 0.3), 0.3);
+	ASSERT.equal( easing( 'step-start')( 0), 1);
+	ASSERT.equal( easing( 'step-end')( 0.99), 0);
+	ASSERT.equal( easing( 'step-end')( 1), 1);
+	const easeInOut = easing( 'ease-in-out');
+	ASSERT.equal( easeInOut( 0), 0);
+	ASSERT.equal( easeInOut( 1), 1);
+	ASSERT.ok( Math.abs( easeInOut( 0.5) - 0.5) < 1e-6); // symmetric
+	ASSERT.ok( easeInOut( 0.25) < 0.25);
+	ASSERT.ok( Math.abs( easing( 'cubic-bezier', [ 0.25, 0.25, 0.75, 0.75])( 0.3) - 0.3) < 1e-6); // a straight line
+	ASSERT.ok( easing( 'cubic-bezier', [ 0.3, 1.5, 0.7, 1.5])( 0.5) > 1); // overshoot
+	ASSERT.throws( () => easing( 'cubic-bezier'));
+	ASSERT.throws( () => easing( 'cubic-bezier', [ 2, 0, 0, 1]));
+
+	// checked when parsed, at the x coordinate out of range
+	const [ error] = new Codec().diagnose( 'TransitionPreset\n\teasing-curve @ (0, 0, 2 - 0.5, 1)').diagnostics;
+	ASSERT.deepEqual( [ error.problem, error.columnIndex, error.code], [ 'number within [0, 1] expected: 2 - 0.5', 23, 'invalid-value']);
+	ASSERT.equal( new Codec().diagnose( 'TransitionPreset\n\teasing-curve @ (0.3, 1.5, 0.7, -0.5)').diagnostics.length, 0);
+});
+
+TEST( 'timeline applies easing', () => {
+	const presentation = parse( [
+		'box:Rectangle appears',
+		'\twidth := 100',
+		'box grows',
+		'\tduration @ 1s',
+		'\teasing @ \'step-end\'',
+	]);
+	const box = presentation.get( 'box');
+	const timeline = new Timeline( presentation);
+	ASSERT.equal( timeline.sample( 999).get( box, 'width'), 100);
+	ASSERT.equal( timeline.sample( 1000).get( box, 'width'), 300);
+});
+
+TEST( 'timeline fades', () => {
+	const presentation = parse( [
+		'TransitionPreset',
+		'\tduration @ 1s',
+		'box:Rectangle fades-in',
+		'box fades-out',
+	]);
+	const box = presentation.get( 'box');
+	const timeline = new Timeline( presentation);
+	ASSERT.equal( timeline.sample( 0).opacity( box), 0);
+	ASSERT.equal( timeline.sample( 250).opacity( box), 0.25);
+	ASSERT.equal( timeline.sample( 1000).opacity( box), 1);
+	ASSERT.equal( timeline.sample( 1750).opacity( box), 0.25);
+	ASSERT.deepEqual( timeline.sample( 2000).entities, []);
+});